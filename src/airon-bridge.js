@@ -13,20 +13,44 @@
  *   node airon-bridge.js [port]             # Any MCP server on specified port
  *   node airon-bridge.js --editor [port]    # Unity Editor server (default: 3002)
  *   node airon-bridge.js --game [port]      # Unity Game server (default: 3003)
+ *   node airon-bridge.js --both             # Editor + Game, tools prefixed editor:/game:
+ *   node airon-bridge.js --url <url>        # Any MCP server at a full http(s) endpoint
+ *   node airon-bridge.js --project <path>   # Unity Editor that has this project open
+ *
+ * Options:
+ *   --header "Name: value"                  # Extra request header, repeatable (${VAR} reads the environment)
+ *   --ca <file>                             # Trust this CA / self-signed certificate (PEM)
+ *   --insecure                              # Skip TLS certificate verification
+ *   --max-wait <seconds>                    # How long to wait for Unity to come back (default: 120)
+ *   --retry-delay <ms>                      # First retry delay, doubled up to 5s (default: 500)
+ *   --timeout <seconds>                     # Abandon a request idle this long, 0 = never (default: 30)
+ *   --scan-ports <from>-<to>                # Ports searched for --project without an instance file (default: 3002-3011)
+ *   --config <file>                         # Tool allow/deny lists, description overrides and timeouts (JSON)
+ *   --record <file>                         # Append every exchange with Unity to a JSONL file
+ *   --replay <file>                         # Answer from a recorded JSONL file instead of Unity
  *
  * Examples:
  *   node airon-bridge.js 8080               # Generic MCP server on port 8080
  *   node airon-bridge.js --editor           # Unity Editor on port 3002
  *   node airon-bridge.js --editor 4002      # Unity Editor on port 4002
  *   node airon-bridge.js --game 4003        # Unity Game on port 4003
+ *   node airon-bridge.js --editor 4002 --game 4003  # Combined mode on custom ports
+ *   node airon-bridge.js --editor http://unity-vm:3002/mcp  # Unity Editor on another machine
+ *   node airon-bridge.js --url https://build-box/mcp --header "Authorization: Bearer ${MCP_TOKEN}"
  *
  * Add to Claude Code:
  *   claude mcp add my-server node airon-bridge.js 8080
  *   claude mcp add unity-editor node airon-bridge.js --editor
  *   claude mcp add unity-game node airon-bridge.js --game
+ *   claude mcp add unity node airon-bridge.js --both
  */
 
+import crypto from 'crypto';
+import fs from 'fs';
 import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
 import readline from 'readline';
 import { pathToFileURL } from 'url';
 
@@ -45,9 +69,38 @@ const CONFIG = {
   }
 };
 
-// Bridge mode and port
-let mode = null;
-let customPort = null;
+// Name used for the combined editor + game bridge
+const COMBINED_NAME = 'unity';
+
+// Path of the MCP endpoint on Unity's HTTP server
+const MCP_PATH = '/mcp';
+
+// Written by the Unity package while a project is open, relative to the project folder
+const INSTANCE_FILE = path.join('Temp', 'AironMCP.json');
+
+// Last good tool catalog per project/endpoint, served while Unity is unreachable
+const CATALOG_DIR = path.join(os.homedir(), '.airon', 'tool-cache');
+
+// Ports searched for a project whose instance file is missing
+const DEFAULT_SCAN_PORTS = { from: 3002, to: 3011 };
+
+// Bridge targets: { prefix, name, url, port, preset, project, sessionId, initialized, capabilities, ... }
+// A single target has an empty prefix, so tool names are passed through unchanged
+let targets = [];
+
+// Protocol versions the bridge speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
+// Negotiated with the client on initialize and reused for every upstream handshake
+let protocolVersion = SUPPORTED_PROTOCOL_VERSIONS[0];
+let clientInitParams = null;
+
+// Upstream capabilities the bridge passes through when a server declares them
+const PASSTHROUGH_CAPABILITIES = ['resources', 'prompts', 'completions'];
+
+// Combined mode: which target serves a resource URI or resource template
+const resourceRoutes = new Map();
+const templateRoutes = new Map();
 
 // Server info
 const serverInfo = {
@@ -55,29 +108,120 @@ const serverInfo = {
   version: '1.0.0'
 };
 
-// Session tracking
-let sessionId = null;
+// Retry policy while Unity is unreachable (script compilation, domain reload)
+const retryPolicy = {
+  initialDelay: 500,    // First wait between attempts (ms), doubled after each attempt
+  maxDelay: 5000,       // Longest wait between attempts (ms)
+  maxWait: 120000       // Give up after waiting this long in total (ms)
+};
+
+// Only these errors mean Unity is (re)starting or the project is still opening - anything else fails immediately
+const RETRYABLE_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EPROJECTNOTFOUND', 'EWRONGPROJECT'];
+
+// Client requests in flight, by JSON-RPC id, so notifications/cancelled can abort them
+const inFlightRequests = new Map();
+
+// How long a single HTTP request may stay idle before it is abandoned (ms, 0 = never)
+let requestTimeout = 30000;
+
+// Counter for unique upstream request ids
+let upstreamRequestCount = 0;
+
+// Delay before reopening a dropped notification stream (e.g. during domain reload)
+const NOTIFICATION_RETRY_DELAY = 2000;
+
+// Open notification streams by target
+const subscriptions = new Map();
+
+// Connection settings shared by all targets: extra headers and the https agent
+const connection = {
+  headers: {},
+  agent: null
+};
+
+// Options that apply to every target
+const bridgeOptions = {
+  scanPorts: DEFAULT_SCAN_PORTS
+};
+
+// Tool policy from --config: { allow: [globs], deny: [globs], tools: { glob: { description, timeout } } }
+let toolPolicy = { allow: null, deny: [], tools: {} };
+
+// Record/replay: file exchanges are appended to, and recorded responses by exchange key
+const session = {
+  recordFile: null,
+  replay: null
+};
 
 // ============================================================
 // Argument Parsing
 // ============================================================
 
-function parseBridgeArgs() {
-  const args = process.argv.slice(2);
-  let selectedMode = null;
+function parseBridgeArgs(args = process.argv.slice(2)) {
+  // Selected presets: mode -> port (null for the preset default)
+  const modes = {};
   let port = null;
+  let url = null;
+  let maxWait = null;
+  let retryDelay = null;
+  let timeout = null;
+  let record = null;
+  let replay = null;
+  let project = null;
+  let config = null;
+  let scanPorts = DEFAULT_SCAN_PORTS;
+  const headers = [];
+  let ca = null;
+  let insecure = false;
 
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--game') {
-      selectedMode = 'game';
-      if (args[i + 1] && !args[i + 1].startsWith('--') && !isNaN(parseInt(args[i + 1]))) {
-        port = parseInt(args[i + 1]);
+    if (args[i] === '--url' && args[i + 1]) {
+      url = args[i + 1];
+      i++;
+    } else if (args[i] === '--header' && args[i + 1]) {
+      headers.push(args[i + 1]);
+      i++;
+    } else if (args[i] === '--ca' && args[i + 1]) {
+      ca = args[i + 1];
+      i++;
+    } else if (args[i] === '--config' && args[i + 1]) {
+      config = args[i + 1];
+      i++;
+    } else if (args[i] === '--project' && args[i + 1]) {
+      project = args[i + 1];
+      i++;
+    } else if (args[i] === '--scan-ports' && /^\d+-\d+$/.test(args[i + 1] || '')) {
+      const [from, to] = args[i + 1].split('-').map(Number);
+      scanPorts = { from, to };
+      i++;
+    } else if (args[i] === '--record' && args[i + 1]) {
+      record = args[i + 1];
+      i++;
+    } else if (args[i] === '--replay' && args[i + 1]) {
+      replay = args[i + 1];
+      i++;
+    } else if (args[i] === '--insecure') {
+      insecure = true;
+    } else if (args[i] === '--max-wait' && !isNaN(parseFloat(args[i + 1]))) {
+      maxWait = parseFloat(args[i + 1]) * 1000;
+      i++;
+    } else if (args[i] === '--timeout' && !isNaN(parseFloat(args[i + 1]))) {
+      timeout = parseFloat(args[i + 1]) * 1000;
+      i++;
+    } else if (args[i] === '--retry-delay' && !isNaN(parseInt(args[i + 1]))) {
+      retryDelay = parseInt(args[i + 1]);
+      i++;
+    } else if (args[i] === '--both') {
+      if (!('editor' in modes)) modes.editor = null;
+      if (!('game' in modes)) modes.game = null;
+    } else if (args[i] === '--game' || args[i] === '--editor') {
+      const selectedMode = args[i].substring(2);
+      modes[selectedMode] = null;
+      if (args[i + 1] && isEndpoint(args[i + 1])) {
+        modes[selectedMode] = args[i + 1];
         i++;
-      }
-    } else if (args[i] === '--editor') {
-      selectedMode = 'editor';
-      if (args[i + 1] && !args[i + 1].startsWith('--') && !isNaN(parseInt(args[i + 1]))) {
-        port = parseInt(args[i + 1]);
+      } else if (args[i + 1] && !args[i + 1].startsWith('--') && !isNaN(parseInt(args[i + 1]))) {
+        modes[selectedMode] = parseInt(args[i + 1]);
         i++;
       }
     } else if (!args[i].startsWith('--') && !isNaN(parseInt(args[i]))) {
@@ -85,179 +229,1042 @@ function parseBridgeArgs() {
     }
   }
 
-  return { mode: selectedMode, port };
+  return { modes, port, url, maxWait, retryDelay, timeout, record, replay, project, scanPorts, config, headers, ca, insecure };
+}
+
+function isEndpoint(value) {
+  return /^https?:\/\//i.test(value);
+}
+
+function toEndpoint(value) {
+  // Presets take a port on this machine or a full endpoint elsewhere
+  const url = new URL(typeof value === 'number' ? `http://localhost:${value}${MCP_PATH}` : value);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Unsupported protocol in ${value} (expected http or https)`);
+  }
+  if (url.pathname === '/') {
+    url.pathname = MCP_PATH;
+  }
+  return url;
+}
+
+function createTarget(prefix, name, endpoint) {
+  const url = toEndpoint(endpoint);
+  return {
+    prefix,
+    name,
+    url,
+    port: parseInt(url.port) || (url.protocol === 'https:' ? 443 : 80)
+  };
+}
+
+function buildTargets({ modes, port, url, project }) {
+  // A project is opened by the editor unless another server was asked for
+  if (project && Object.keys(modes).length === 0 && !url && !port) {
+    modes = { editor: null };
+  }
+
+  const selectedModes = Object.keys(modes);
+  const targets = [];
+
+  // Several presets: namespace each server's tools by its mode
+  if (selectedModes.length > 1) {
+    for (const m of selectedModes) {
+      targets.push(createTarget(m, CONFIG[m].name, modes[m] || CONFIG[m].port));
+    }
+  } else if (selectedModes.length === 1) {
+    const m = selectedModes[0];
+    targets.push(createTarget('', CONFIG[m].name, modes[m] || url || port || CONFIG[m].port));
+  }
+
+  if (targets.length > 0) {
+    selectedModes.forEach((m, i) => {
+      targets[i].preset = m;
+      if (project) {
+        targets[i].project = normalizeProjectPath(project);
+        // Only look the port up when none was given explicitly
+        targets[i].discover = !modes[m] && !(selectedModes.length === 1 && (url || port));
+      }
+    });
+    return targets;
+  }
+
+  if (url) {
+    return [createTarget('', `mcp-bridge-${toEndpoint(url).host}`, url)];
+  }
+
+  const genericPort = port || CONFIG.editor.port;
+  return [createTarget('', `mcp-bridge-${genericPort}`, genericPort)];
+}
+
+function expandEnv(value) {
+  return value.replace(/\$\{(\w+)\}/g, (_, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`Environment variable ${name} is not set`);
+    }
+    return process.env[name];
+  });
+}
+
+function parseHeaders(headers) {
+  const parsed = {};
+
+  for (const header of headers) {
+    const separator = header.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid header "${header}" (expected "Name: value")`);
+    }
+    parsed[header.substring(0, separator).trim()] = expandEnv(header.substring(separator + 1).trim());
+  }
+
+  return parsed;
+}
+
+function createAgent({ ca, insecure }) {
+  if (!ca && !insecure) return null;
+
+  return new https.Agent({
+    keepAlive: true,
+    ...(ca ? { ca: fs.readFileSync(ca) } : {}),
+    rejectUnauthorized: !insecure
+  });
 }
 
 // ============================================================
 // Helper Functions
 // ============================================================
 
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Request cancelled'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Request cancelled'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function isCombined() {
+  return targets.length > 1;
 }
 
-function getActivePort() {
-  if (customPort) return customPort;
-  if (mode && CONFIG[mode]) return CONFIG[mode].port;
-  return customPort || 3002;
+function resolveName(name) {
+  if (!isCombined()) {
+    return { target: targets[0], toolName: name };
+  }
+
+  const separator = name.indexOf(':');
+  if (separator === -1) return null;
+
+  const target = targets.find(t => t.prefix === name.substring(0, separator));
+  return target ? { target, toolName: name.substring(separator + 1) } : null;
+}
+
+function getCapabilities() {
+  const capabilities = {
+    // The merged or cached tool list can change under the client
+    tools: { listChanged: true }
+  };
+
+  for (const target of targets) {
+    for (const key of PASSTHROUGH_CAPABILITIES) {
+      if (target.capabilities?.[key]) {
+        capabilities[key] = { ...capabilities[key], ...target.capabilities[key] };
+      }
+    }
+  }
+
+  // resources/subscribe is not passed through
+  if (capabilities.resources) {
+    delete capabilities.resources.subscribe;
+  }
+
+  return capabilities;
 }
 
 // ============================================================
 // HTTP Request Handling
 // ============================================================
 
-function makeRequestAttempt(port, jsonRpcRequest) {
+function createRequest(target, method, headers, callback) {
+  const { url } = target;
+  const transport = url.protocol === 'https:' ? https : http;
+
+  return transport.request({
+    protocol: url.protocol,
+    hostname: url.hostname.replace(/^\[|\]$/g, ''),
+    port: target.port,
+    path: url.pathname + url.search,
+    method,
+    ...(url.protocol === 'https:' && connection.agent ? { agent: connection.agent } : {}),
+    headers: {
+      ...connection.headers,
+      ...headers,
+      ...(target.sessionId ? { 'Mcp-Session-Id': target.sessionId } : {})
+    }
+  }, callback);
+}
+
+function resetSession(target) {
+  // Unity dropped the session (or restarted) - handshake again before the next request
+  target.sessionId = null;
+  target.initialized = false;
+}
+
+function makeRequestAttempt(target, jsonRpcRequest, context = {}, timeout = requestTimeout) {
+  const { host } = target.url;
+  const { signal } = context;
+
+  // Give every upstream request its own id, so a cancellation names exactly this one
+  const isRequest = jsonRpcRequest.id !== undefined;
+  const outgoing = isRequest
+    ? { ...jsonRpcRequest, id: `${jsonRpcRequest.id}-${++upstreamRequestCount}` }
+    : jsonRpcRequest;
+
+  if (session.replay) {
+    return Promise.resolve(replayExchange(target, outgoing, context));
+  }
+
   return new Promise((resolve, reject) => {
-    const data = JSON.stringify(jsonRpcRequest);
-
-    const options = {
-      hostname: 'localhost',
-      port: port,
-      path: '/mcp',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(data),
-        ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {})
+    if (signal?.aborted) {
+      reject(new Error('Request cancelled'));
+      return;
+    }
+
+    const data = JSON.stringify(outgoing);
+    const notifications = [];
+    let settled = false;
+
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      if (callback === resolve && value && isRequest) {
+        recordExchange(target, outgoing, value, notifications);
       }
+      callback(value);
     };
 
-    const req = http.request(options, (res) => {
+    const onAbort = () => {
+      settle(reject, new Error('Request cancelled'));
+      req.destroy();
+      if (isRequest) {
+        cancelUpstream(target, outgoing.id, typeof signal.reason === 'string' ? signal.reason : undefined);
+      }
+    };
+
+    const req = createRequest(target, 'POST', {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream',
+      'Content-Length': Buffer.byteLength(data)
+    }, (res) => {
       let body = '';
 
       if (res.headers['mcp-session-id']) {
-        sessionId = res.headers['mcp-session-id'];
+        target.sessionId = res.headers['mcp-session-id'];
       }
 
       if (res.statusCode === 401 || res.statusCode === 403 || res.statusCode === 404) {
-        sessionId = null;
+        resetSession(target);
+      }
+
+      // Destroying the request on cancel or timeout also errors the response
+      res.on('error', (e) => settle(reject, e));
+
+      // Long-running calls may answer with an SSE stream carrying notifications before the result
+      if ((res.headers['content-type'] || '').includes('text/event-stream')) {
+        readEventStream(res, (event, data) => {
+          const message = parseMessage(event, data);
+          if (!message) return;
+
+          if (message.id === outgoing.id && !message.method) {
+            settle(resolve, message);
+            // Nothing more is wanted from this stream, even if Unity keeps it open
+            res.destroy();
+          } else if (!settled) {
+            notifications.push(message);
+            relayNotification(message, context);
+          }
+        });
+
+        res.on('end', () => {
+          settle(reject, new Error(`Stream from ${host} ended without a response`));
+        });
+        return;
       }
 
       res.on('data', chunk => body += chunk);
       res.on('end', () => {
+        // Notifications are acknowledged with 202 and no body
+        if (res.statusCode === 202 || !body.trim()) {
+          settle(resolve, null);
+          return;
+        }
+
         try {
-          const response = JSON.parse(body);
-          resolve(response);
+          settle(resolve, JSON.parse(body));
         } catch (e) {
-          reject(new Error(`Failed to parse response: ${body}`));
+          settle(reject, new Error(`Failed to parse response: ${body}`));
         }
       });
     });
 
     req.on('error', (e) => {
-      sessionId = null;
-      reject(new Error(`Connection failed to port ${port}: ${e.message}`));
-    });
+      // Already answered, cancelled or timed out
+      if (settled) return;
 
-    req.setTimeout(30000, () => {
-      req.destroy();
-      sessionId = null;
-      reject(new Error(`Request timeout to port ${port}`));
+      resetSession(target);
+      const error = new Error(`Connection failed to ${host}: ${e.message}`);
+      error.code = e.code;
+      settle(reject, error);
     });
 
+    if (timeout > 0) {
+      req.setTimeout(timeout, () => {
+        settle(reject, new Error(`Request timeout to ${host} after ${timeout / 1000}s`));
+        req.destroy();
+        if (isRequest) {
+          cancelUpstream(target, outgoing.id, 'Request timed out');
+        }
+      });
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     req.write(data);
     req.end();
   });
 }
 
-async function makeRequest(port, jsonRpcRequest) {
+function cancelUpstream(target, requestId, reason) {
+  // Let Unity stop working on a call nobody is waiting for - best effort
+  makeRequestAttempt(target, {
+    jsonrpc: '2.0',
+    method: 'notifications/cancelled',
+    params: { requestId, ...(reason ? { reason } : {}) }
+  }).catch(() => {});
+}
+
+async function handshake(target) {
+  if (target.discover && !session.replay) {
+    await locateProject(target);
+  }
+
+  const response = await makeRequestAttempt(target, {
+    jsonrpc: '2.0',
+    id: 'init',
+    method: 'initialize',
+    params: { ...clientInitParams, protocolVersion }
+  });
+
+  if (!response || response.error) {
+    throw new Error(`Initialize failed on ${target.url.host}: ${response?.error?.message || 'empty response'}`);
+  }
+
+  if (target.project) {
+    await verifyProject(target);
+  }
+
+  const result = response.result || {};
+  target.initialized = true;
+  target.tools = null;
+  target.protocolVersion = result.protocolVersion || null;
+  target.capabilities = result.capabilities || null;
+  target.serverInfo = result.serverInfo || null;
+  target.instructions = result.instructions || null;
+
+  await makeRequestAttempt(target, { jsonrpc: '2.0', method: 'notifications/initialized' });
+  // Asked once per handshake - a failed request re-handshakes, so Play Mode changes are picked up
+  target.standby = target.prefix ? await isServerStandby(target) : false;
+  refreshStaleCatalog(target);
+}
+
+async function makeRequest(target, jsonRpcRequest, { retry = true, context = {}, timeout } = {}) {
+  const { host } = target.url;
+  const started = Date.now();
+  let wait = retryPolicy.initialDelay;
+
+  while (true) {
+    try {
+      // Unity was down at startup or has restarted since - re-handshake on first contact
+      if (!target.initialized && clientInitParams) {
+        await handshake(target);
+      }
+      return await makeRequestAttempt(target, jsonRpcRequest, context, timeout);
+    } catch (e) {
+      if (!retry || !RETRYABLE_ERRORS.includes(e.code)) throw e;
+
+      const elapsed = Date.now() - started;
+      if (elapsed >= retryPolicy.maxWait) {
+        // Project errors already say what is wrong
+        throw e.code === 'EPROJECTNOTFOUND' || e.code === 'EWRONGPROJECT'
+          ? e
+          : new Error(`${e.message}. Is Unity running with MCP enabled?`);
+      }
+
+      sendProgress(context, elapsed, `Waiting for Unity at ${host} (compiling or reloading scripts?)`);
+      await delay(Math.min(wait, retryPolicy.maxWait - elapsed), context.signal);
+      wait = Math.min(wait * 2, retryPolicy.maxDelay);
+    }
+  }
+}
+
+// ============================================================
+// Project Discovery
+// ============================================================
+
+function normalizeProjectPath(projectPath) {
+  const normalized = path.resolve(projectPath).replace(/\\/g, '/').replace(/\/+$/, '');
+  return process.platform === 'win32' ? normalized.toLowerCase() : normalized;
+}
+
+function projectError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function readInstanceFile(project) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(project, INSTANCE_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function fetchHealth(port) {
+  // GET without an event-stream Accept header is Unity's health check
+  return new Promise((resolve) => {
+    const req = http.get({ hostname: 'localhost', port, path: MCP_PATH, timeout: 1000 }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch {
+          resolve(null);
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy());
+    req.on('error', () => resolve(null));
+  });
+}
+
+function moveTarget(target, port) {
+  if (target.port === port) return;
+
+  target.url = toEndpoint(port);
+  target.port = port;
+  resetSession(target);
+}
+
+async function locateProject(target) {
+  // The instance file names the ports of the editor that has the project open
+  const instance = readInstanceFile(target.project);
+  const advertised = instance?.[`${target.preset}Port`];
+  if (advertised) {
+    moveTarget(target, advertised);
+    return;
+  }
+
+  // No instance file (older package or project not open yet) - ask every server in range
+  const { from, to } = bridgeOptions.scanPorts;
+  for (let port = from; port <= to; port++) {
+    const health = await fetchHealth(port);
+    if (health?.server === target.preset && health.projectPath &&
+        normalizeProjectPath(health.projectPath) === target.project) {
+      moveTarget(target, port);
+      return;
+    }
+  }
+
+  throw projectError('EPROJECTNOTFOUND',
+    `No Unity ${target.preset} server found for ${target.project} (no ${INSTANCE_FILE}, ports ${from}-${to} scanned)`);
+}
+
+async function verifyProject(target) {
+  const response = await makeRequestAttempt(target, {
+    jsonrpc: '2.0',
+    id: 'verify-project',
+    method: 'tools/call',
+    params: { name: 'status', arguments: {} }
+  });
+
+  let status = null;
+  try {
+    status = JSON.parse(response?.result?.content?.[0]?.text);
+  } catch {
+    // Not JSON - treated as not reporting a project below
+  }
+
+  if (!status?.projectPath) {
+    resetSession(target);
+    throw new Error(`Unity at ${target.url.host} does not report its project path - update the AIRON package to use --project`);
+  }
+
+  if (normalizeProjectPath(status.projectPath) !== target.project) {
+    resetSession(target);
+    throw projectError('EWRONGPROJECT',
+      `Unity at ${target.url.host} has ${status.projectPath} open, not ${target.project}`);
+  }
+}
+
+// ============================================================
+// Notification Stream (SSE)
+// ============================================================
+
+function parseSSEEvent(block) {
+  let event = 'message';
+  const data = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith(':')) continue;
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+function readEventStream(res, onEvent) {
+  let buffer = '';
+  res.setEncoding('utf8');
+
+  res.on('data', chunk => {
+    buffer = (buffer + chunk).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseSSEEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) {
+        onEvent(parsed.event, parsed.data);
+      }
+    }
+  });
+}
+
+function parseMessage(event, data) {
+  // Unity also sends 'connected' and 'endpoint' info events - only JSON-RPC is of interest
+  if (event !== 'message') return null;
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+function relayNotification(message, context = {}) {
+  // Server-initiated requests can't be answered through stdio, only relay notifications
+  if (!message || !message.method || message.id !== undefined) return;
+
+  // Progress for a request the client has already cancelled is no longer wanted
+  if (context.signal?.aborted) return;
+
+  // Cached input schemas may be out of date now
+  if (message.method === 'notifications/tools/list_changed') {
+    targets.forEach(t => { t.tools = null; });
+  }
+
+  sendResponse(message);
+}
+
+function handleNotificationEvent(event, data) {
+  relayNotification(parseMessage(event, data));
+}
+
+function openNotificationStream(target, subscription) {
+  const req = createRequest(target, 'GET', { 'Accept': 'text/event-stream' }, (res) => {
+    const contentType = res.headers['content-type'] || '';
+    if (res.statusCode !== 200 || !contentType.includes('text/event-stream')) {
+      res.resume();
+      scheduleResubscribe(target, subscription);
+      return;
+    }
+
+    setSubscriptionConnected(subscription, true);
+    refreshStaleCatalog(target);
+    readEventStream(res, handleNotificationEvent);
+
+    // Unity closes the stream when it stops the server before a domain reload
+    res.on('error', () => scheduleResubscribe(target, subscription));
+    res.on('close', () => scheduleResubscribe(target, subscription));
+  });
+
+  req.on('error', () => scheduleResubscribe(target, subscription));
+  req.end();
+
+  subscription.req = req;
+}
+
+function scheduleResubscribe(target, subscription) {
+  if (subscription.retryTimer || subscriptions.get(target) !== subscription) return;
+
+  // In combined mode the server may come back as the Play Mode stand-in (or stop being it) - handshake and ask again
+  if (target.prefix && subscription.connected) {
+    resetSession(target);
+  }
+  setSubscriptionConnected(subscription, false);
+  subscription.req = null;
+  subscription.retryTimer = setTimeout(() => {
+    subscription.retryTimer = null;
+    openNotificationStream(target, subscription);
+  }, NOTIFICATION_RETRY_DELAY);
+}
+
+function setSubscriptionConnected(subscription, connected) {
+  const previous = subscription.connected;
+  subscription.connected = connected;
+  if (previous === undefined || previous === connected) return;
+
+  // In combined mode a server coming or going (e.g. the game server on Play Mode
+  // changes) changes the merged tool list
+  if (isCombined()) {
+    sendNotification('notifications/tools/list_changed');
+  }
+}
+
+function subscribeNotifications(target) {
+  // Nothing to listen to when answering from a recording
+  if (session.replay || subscriptions.has(target)) return;
+
+  const subscription = { req: null, retryTimer: null, connected: undefined };
+  subscriptions.set(target, subscription);
+  openNotificationStream(target, subscription);
+}
+
+// ============================================================
+// Tool Policy and Argument Validation
+// ============================================================
+
+function globToRegExp(glob) {
+  const pattern = glob
+    .split('')
+    .map(c => c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${pattern}$`);
+}
+
+function matchesAny(globs, name) {
+  return globs.some(glob => globToRegExp(glob).test(name));
+}
+
+function loadToolPolicy(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read config ${file}: ${e.message}`);
+  }
+
+  for (const key of ['allow', 'deny']) {
+    if (config[key] !== undefined && !Array.isArray(config[key])) {
+      throw new Error(`"${key}" in ${file} must be an array of tool names or globs`);
+    }
+  }
+
+  return {
+    allow: config.allow || null,
+    deny: config.deny || [],
+    tools: config.tools || {}
+  };
+}
+
+function isToolAllowed(name) {
+  // Names are matched as the client sees them (editor:/game: prefix in combined mode)
+  if (matchesAny(toolPolicy.deny, name)) return false;
+  return !toolPolicy.allow || matchesAny(toolPolicy.allow, name);
+}
+
+function getToolOverride(name) {
+  // Every matching entry applies, later ones win
+  return Object.entries(toolPolicy.tools)
+    .filter(([glob]) => globToRegExp(glob).test(name))
+    .reduce((override, [, settings]) => ({ ...override, ...settings }), {});
+}
+
+async function getInputSchema(target, toolName, context) {
+  // Without a schema validation is skipped - the call itself waits for Unity
+  if (!target.tools) {
+    await getToolsFromServer(target, context);
+  }
+  // Tools Unity didn't list are left for Unity to reject
+  return target.tools?.get(toolName)?.inputSchema || null;
+}
+
+function schemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function validateSchema(value, schema, at = 'arguments') {
+  // Covers the JSON Schema subset MCP tool schemas use: type, required, properties,
+  // additionalProperties, items and enum
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = schemaTypeOf(value);
+    if (!allowed.includes(actual) && !(actual === 'integer' && allowed.includes('number'))) {
+      errors.push(`${at} must be ${allowed.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => stableStringify(option) === stableStringify(value))) {
+    errors.push(`${at} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schemaTypeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${at}.${key} is required`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not a known parameter`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  }
+
+  return errors;
+}
+
+// ============================================================
+// Tool Catalog Cache
+// ============================================================
+
+function catalogFile(target) {
+  const key = [target.project || target.url.host, target.url.pathname, target.preset || ''].join('|');
+  return path.join(CATALOG_DIR, `${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}.json`);
+}
+
+function loadCatalog(target) {
+  // A recording answers for itself
+  if (session.replay) return null;
+
+  try {
+    const catalog = JSON.parse(fs.readFileSync(catalogFile(target), 'utf8'));
+    return Array.isArray(catalog.tools) ? catalog : null;
+  } catch {
+    return null;
+  }
+}
+
+function updateCatalog(target, tools, cached) {
+  target.servedTools = tools;
+  target.stale = null;
+  target.unlisted = false;
+
+  if (session.replay || (cached && stableStringify(cached.tools) === stableStringify(tools))) return;
+
   try {
-    return await makeRequestAttempt(port, jsonRpcRequest);
-  } catch (firstError) {
-    // Wait 10 seconds and retry once
-    await delay(10000);
+    fs.mkdirSync(CATALOG_DIR, { recursive: true });
+    fs.writeFileSync(catalogFile(target), JSON.stringify({
+      url: target.url.href,
+      project: target.project || null,
+      savedAt: new Date().toISOString(),
+      tools
+    }, null, 2));
+  } catch {
+    // The cache is an optimisation - never fail a request over it
+  }
+}
+
+async function refreshStaleCatalog(target) {
+  if (!(target.stale || target.unlisted) || target.refreshing) return;
+
+  // Unity is back - compare its live tools with the cached ones (or none) the client got
+  target.refreshing = true;
+  try {
+    const served = stableStringify(target.servedTools);
+    await getToolsFromServer(target);
+    if (!target.stale && !target.unlisted && stableStringify(target.servedTools) !== served) {
+      sendNotification('notifications/tools/list_changed');
+    }
+  } finally {
+    target.refreshing = false;
+  }
+}
+
+// ============================================================
+// Record / Replay
+// ============================================================
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function exchangeKey(prefix, method, params = {}) {
+  // Progress tokens differ between runs, and initialize carries the client's details
+  const { _meta, ...rest } = params;
+
+  if (method === 'initialize') {
+    return `${prefix}|${method}`;
+  }
+  if (method === 'tools/call') {
+    return `${prefix}|${method}|${rest.name}|${stableStringify(rest.arguments || {})}`;
+  }
+  return `${prefix}|${method}|${stableStringify(rest)}`;
+}
+
+function recordExchange(target, request, response, notifications) {
+  if (!session.recordFile) return;
+
+  const { id, jsonrpc, ...outcome } = response;
+  const entry = {
+    target: target.prefix,
+    method: request.method,
+    params: request.params || {},
+    response: outcome,
+    ...(notifications.length > 0 ? { notifications } : {})
+  };
+
+  fs.appendFileSync(session.recordFile, JSON.stringify(entry) + '\n');
+}
+
+function loadReplay(file) {
+  const replay = new Map();
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let entry;
     try {
-      return await makeRequestAttempt(port, jsonRpcRequest);
-    } catch (retryError) {
-      throw new Error(`${retryError.message}. Is Unity running with MCP enabled?`);
+      entry = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Invalid JSON on line ${index + 1} of ${file}: ${e.message}`);
     }
+
+    // The same call can be recorded several times with different outcomes - play them in order
+    const key = exchangeKey(entry.target || '', entry.method, entry.params);
+    if (!replay.has(key)) {
+      replay.set(key, { entries: [], next: 0 });
+    }
+    replay.get(key).entries.push(entry);
+  });
+
+  return replay;
+}
+
+function replayExchange(target, request, context) {
+  // Notifications need no answer
+  if (request.id === undefined) return null;
+
+  const recorded = session.replay.get(exchangeKey(target.prefix, request.method, request.params));
+  if (!recorded) {
+    const what = request.method === 'tools/call' ? `${request.method} ${request.params?.name}` : request.method;
+    return {
+      jsonrpc: '2.0',
+      id: request.id,
+      error: {
+        code: -32603,
+        message: `No recorded response for ${what} with these arguments`
+      }
+    };
   }
+
+  // Once the recording runs out, keep answering with its last response
+  const entry = recorded.entries[Math.min(recorded.next, recorded.entries.length - 1)];
+  recorded.next++;
+
+  for (const notification of entry.notifications || []) {
+    relayNotification(notification, context);
+  }
+
+  return { jsonrpc: '2.0', id: request.id, ...entry.response };
 }
 
 // ============================================================
 // MCP Protocol Handlers
 // ============================================================
 
-async function getToolsFromServer(port, prefix = '') {
+async function isServerStandby(target) {
+  // The game port is served by a stand-in outside Play Mode that reports running: false
   try {
-    const response = await makeRequest(port, {
+    const response = await callTool(target, 'status', {}, { retry: false });
+    return JSON.parse(response.result.content[0].text).running === false;
+  } catch {
+    return false;
+  }
+}
+
+function toClientTools(target, tools) {
+  return tools.map(tool => ({
+    ...tool,
+    name: target.prefix ? `${target.prefix}:${tool.name}` : tool.name,
+    _originalName: tool.name,
+    _port: target.port
+  }));
+}
+
+async function getToolsFromServer(target, context = {}) {
+  const { prefix } = target;
+  const cached = loadCatalog(target);
+
+  try {
+    // One attempt - clients don't wait long for tools/list, so only tools/call waits for Unity
+    const response = await makeRequest(target, {
       jsonrpc: '2.0',
       id: 'tools-list',
       method: 'tools/list',
       params: {}
-    });
+    }, { retry: false, context });
+
+    // In combined mode an unavailable server just contributes no tools
+    if (prefix && target.standby) {
+      updateCatalog(target, [], cached);
+      return [];
+    }
 
     if (response.result && response.result.tools) {
-      return response.result.tools.map(tool => ({
-        ...tool,
-        name: prefix ? `${prefix}:${tool.name}` : tool.name,
-        _originalName: tool.name,
-        _port: port
-      }));
+      // Keep the schemas so tools/call arguments can be checked before they reach Unity
+      target.tools = new Map(response.result.tools.map(tool => [tool.name, tool]));
+      updateCatalog(target, response.result.tools, cached);
+      return toClientTools(target, response.result.tools);
     }
     return [];
   } catch (e) {
+    // Unity is compiling or reloading - keep the last known tools instead of none
+    if (cached && !context.signal?.aborted) {
+      target.servedTools = cached.tools;
+      target.stale = cached.savedAt;
+      return toClientTools(target, cached.tools);
+    }
+    if (!context.signal?.aborted) {
+      // Nothing to offer yet - the client hears about the tools once Unity is up
+      target.servedTools = [];
+      target.unlisted = true;
+    }
     return [];
   }
 }
 
-async function callTool(port, toolName, args) {
-  const response = await makeRequest(port, {
+async function callTool(target, toolName, args, options = {}) {
+  const progressToken = options.context?.progressToken;
+
+  const response = await makeRequest(target, {
     jsonrpc: '2.0',
     id: 'tool-call',
     method: 'tools/call',
     params: {
       name: toolName,
-      arguments: args || {}
+      arguments: args || {},
+      // Let Unity stream progress for this call back under the client's token
+      ...(progressToken !== undefined ? { _meta: { progressToken } } : {})
     }
-  });
+  }, options);
 
   return response;
 }
 
+function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+function getInstructions() {
+  const parts = targets
+    .filter(t => t.instructions)
+    .map(t => isCombined() ? `[${t.prefix}] ${t.instructions}` : t.instructions);
+
+  return parts.length > 0 ? parts.join('\n\n') : undefined;
+}
+
 async function handleInitialize(request) {
-  const port = getActivePort();
+  clientInitParams = request.params || {};
+  protocolVersion = negotiateProtocolVersion(clientInitParams.protocolVersion);
 
-  try {
-    await makeRequest(port, {
-      jsonrpc: '2.0',
-      id: 'init',
-      method: 'initialize',
-      params: request.params || {}
-    });
-  } catch (e) {
-    // Server might not be running
-  }
+  await Promise.all(targets.map(async (target) => {
+    // Keep listening for server-initiated notifications, even if Unity is not up yet
+    subscribeNotifications(target);
+
+    target.initialized = false;
+    try {
+      await handshake(target);
+    } catch (e) {
+      // Server might not be running - don't hold up the client's startup waiting for it.
+      // The first request that reaches Unity will handshake again.
+    }
+  }));
+
+  const instructions = getInstructions();
 
   return {
     jsonrpc: '2.0',
     id: request.id,
     result: {
-      protocolVersion: '2024-11-05',
-      capabilities: {
-        tools: {}
+      protocolVersion,
+      capabilities: getCapabilities(),
+      serverInfo: {
+        ...serverInfo,
+        upstream: targets
+          .filter(t => t.serverInfo)
+          .map(t => ({ ...t.serverInfo, protocolVersion: t.protocolVersion, url: t.url.href }))
       },
-      serverInfo: serverInfo
+      ...(instructions ? { instructions } : {})
     }
   };
 }
 
-async function handleToolsList(request) {
-  const port = getActivePort();
-  const tools = await getToolsFromServer(port);
+async function handleToolsList(request, context) {
+  const results = await Promise.all(
+    targets.map(target => getToolsFromServer(target, context))
+  );
+  const tools = results.flat().filter(tool => isToolAllowed(tool.name));
+  const stale = targets.filter(t => t.stale);
 
-  const cleanTools = tools.map(({ _originalName, _port, ...tool }) => tool);
+  const cleanTools = tools.map(({ _originalName, _port, ...tool }) => {
+    const { description } = getToolOverride(tool.name);
+    return description ? { ...tool, description } : tool;
+  });
 
   return {
     jsonrpc: '2.0',
     id: request.id,
     result: {
-      tools: cleanTools
+      tools: cleanTools,
+      // Served from the cache because Unity did not answer
+      ...(stale.length > 0 ? { _meta: { stale: true, cachedAt: stale.map(t => t.stale).sort()[0] } } : {})
     }
   };
 }
 
-async function handleToolsCall(request) {
+async function handleToolsCall(request, context) {
   const { name, arguments: args } = request.params || {};
 
   if (!name) {
@@ -271,10 +1278,49 @@ async function handleToolsCall(request) {
     };
   }
 
-  const port = getActivePort();
+  const resolved = resolveName(name);
+  if (!resolved) {
+    return {
+      jsonrpc: '2.0',
+      id: request.id,
+      error: {
+        code: -32602,
+        message: `Unknown tool: ${name} (expected ${targets.map(t => `${t.prefix}:`).join(' or ')} prefix)`
+      }
+    };
+  }
+
+  if (!isToolAllowed(name)) {
+    return {
+      jsonrpc: '2.0',
+      id: request.id,
+      error: {
+        code: -32602,
+        message: `Tool not allowed by bridge config: ${name}`
+      }
+    };
+  }
 
   try {
-    const response = await callTool(port, name, args);
+    const schema = await getInputSchema(resolved.target, resolved.toolName, context);
+    const errors = schema ? validateSchema(args || {}, schema) : [];
+    if (errors.length > 0) {
+      return {
+        jsonrpc: '2.0',
+        id: request.id,
+        error: {
+          code: -32602,
+          message: `Invalid arguments for ${name}: ${errors.join('; ')}`,
+          data: { errors }
+        }
+      };
+    }
+
+    const { timeout } = getToolOverride(name);
+    const response = await callTool(resolved.target, resolved.toolName, args, {
+      context,
+      ...(timeout !== undefined ? { timeout: timeout * 1000 } : {})
+    });
 
     if (response.error) {
       return {
@@ -301,6 +1347,151 @@ async function handleToolsCall(request) {
   }
 }
 
+// ============================================================
+// Pass-through Handlers (resources, prompts, completion)
+// ============================================================
+
+function toClientResponse(request, response) {
+  if (response.error) {
+    return { jsonrpc: '2.0', id: request.id, error: response.error };
+  }
+  return { jsonrpc: '2.0', id: request.id, result: response.result };
+}
+
+function forwardRequest(target, method, params, context) {
+  return makeRequest(target, {
+    jsonrpc: '2.0',
+    id: method,
+    method,
+    params: params || {}
+  }, { context });
+}
+
+async function listAll(target, method, key, context) {
+  const items = [];
+  let cursor;
+
+  do {
+    const response = await forwardRequest(target, method, cursor ? { cursor } : {}, context);
+    if (response.error) throw new Error(response.error.message);
+
+    items.push(...(response.result?.[key] || []));
+    cursor = response.result?.nextCursor;
+  } while (cursor);
+
+  return items;
+}
+
+function templateMatches(uriTemplate, uri) {
+  const pattern = uriTemplate
+    .split(/\{[^}]*\}/)
+    .map(part => part.replace(/[.*+?^$()|[\]\\]/g, '\\$&'))
+    .join('.+');
+  return new RegExp(`^${pattern}$`).test(uri);
+}
+
+function resolveResource(uri) {
+  if (resourceRoutes.has(uri)) return resourceRoutes.get(uri);
+
+  for (const [uriTemplate, target] of templateRoutes) {
+    if (templateMatches(uriTemplate, uri)) return target;
+  }
+
+  // Only one server offers resources - nothing to choose between
+  const providers = targets.filter(t => t.capabilities?.resources);
+  return providers.length === 1 ? providers[0] : null;
+}
+
+async function handleMergedList(request, context, capability, key) {
+  const providers = targets.filter(t => t.capabilities?.[capability]);
+  const results = await Promise.all(providers.map(async (target) => {
+    try {
+      return { target, items: await listAll(target, request.method, key, context) };
+    } catch {
+      return { target, items: [] };
+    }
+  }));
+
+  const merged = [];
+  for (const { target, items } of results) {
+    for (const item of items) {
+      if (key === 'prompts') {
+        merged.push({ ...item, name: `${target.prefix}:${item.name}` });
+        continue;
+      }
+      if (key === 'resources') resourceRoutes.set(item.uri, target);
+      if (key === 'resourceTemplates') templateRoutes.set(item.uriTemplate, target);
+      merged.push(item);
+    }
+  }
+
+  return { jsonrpc: '2.0', id: request.id, result: { [key]: merged } };
+}
+
+async function handlePassthrough(request, context) {
+  const params = request.params || {};
+
+  try {
+    // A single server gets the request as-is, including pagination cursors
+    if (!isCombined()) {
+      return toClientResponse(request, await forwardRequest(targets[0], request.method, params, context));
+    }
+
+    switch (request.method) {
+      case 'resources/list':
+        return await handleMergedList(request, context, 'resources', 'resources');
+
+      case 'resources/templates/list':
+        return await handleMergedList(request, context, 'resources', 'resourceTemplates');
+
+      case 'prompts/list':
+        return await handleMergedList(request, context, 'prompts', 'prompts');
+
+      case 'resources/read': {
+        const target = resolveResource(params.uri);
+        if (!target) {
+          return { jsonrpc: '2.0', id: request.id, error: { code: -32002, message: `Resource not found: ${params.uri}` } };
+        }
+        return toClientResponse(request, await forwardRequest(target, request.method, params, context));
+      }
+
+      case 'prompts/get': {
+        const resolved = params.name && resolveName(params.name);
+        if (!resolved) {
+          return { jsonrpc: '2.0', id: request.id, error: { code: -32602, message: `Unknown prompt: ${params.name}` } };
+        }
+        return toClientResponse(request, await forwardRequest(resolved.target, request.method, { ...params, name: resolved.toolName }, context));
+      }
+
+      case 'completion/complete': {
+        const ref = params.ref || {};
+        if (ref.type === 'ref/prompt') {
+          const resolved = ref.name && resolveName(ref.name);
+          if (resolved) {
+            const forwarded = { ...params, ref: { ...ref, name: resolved.toolName } };
+            return toClientResponse(request, await forwardRequest(resolved.target, request.method, forwarded, context));
+          }
+        } else {
+          const target = templateRoutes.get(ref.uri) || resolveResource(ref.uri);
+          if (target) {
+            return toClientResponse(request, await forwardRequest(target, request.method, params, context));
+          }
+        }
+        return { jsonrpc: '2.0', id: request.id, result: { completion: { values: [] } } };
+      }
+    }
+  } catch (e) {
+    return {
+      jsonrpc: '2.0',
+      id: request.id,
+      error: {
+        code: -32603,
+        message: e.message
+      }
+    };
+  }
+}
+
 function handlePing(request) {
   return {
     jsonrpc: '2.0',
@@ -309,24 +1500,44 @@ function handlePing(request) {
   };
 }
 
-async function processRequest(request) {
+function handleCancelled(request) {
+  const controller = inFlightRequests.get(request.params?.requestId);
+  if (controller) {
+    controller.abort(request.params.reason);
+  }
+  return null;
+}
+
+async function dispatchRequest(request, context) {
   try {
     switch (request.method) {
       case 'initialize':
         return await handleInitialize(request);
 
       case 'initialized':
+      case 'notifications/initialized':
         return null;
 
+      case 'notifications/cancelled':
+        return handleCancelled(request);
+
       case 'tools/list':
-        return await handleToolsList(request);
+        return await handleToolsList(request, context);
 
       case 'tools/call':
-        return await handleToolsCall(request);
+        return await handleToolsCall(request, context);
 
       case 'ping':
         return handlePing(request);
 
+      case 'resources/list':
+      case 'resources/read':
+      case 'resources/templates/list':
+      case 'prompts/list':
+      case 'prompts/get':
+      case 'completion/complete':
+        return await handlePassthrough(request, context);
+
       default:
         return {
           jsonrpc: '2.0',
@@ -349,34 +1560,92 @@ async function processRequest(request) {
   }
 }
 
+async function processRequest(request) {
+  // Track the request so notifications/cancelled can stop a wait for Unity
+  const controller = new AbortController();
+  const context = {
+    progressToken: request.params?._meta?.progressToken,
+    signal: controller.signal
+  };
+
+  const tracked = request.id !== undefined && request.id !== null;
+  if (tracked) {
+    inFlightRequests.set(request.id, controller);
+  }
+
+  try {
+    const response = await dispatchRequest(request, context);
+
+    // The client has given up on a cancelled request, so it gets no response
+    return controller.signal.aborted ? null : response;
+  } finally {
+    if (tracked && inFlightRequests.get(request.id) === controller) {
+      inFlightRequests.delete(request.id);
+    }
+  }
+}
+
 function sendResponse(response) {
   if (response) {
     process.stdout.write(JSON.stringify(response) + '\n');
   }
 }
 
+function sendNotification(method, params) {
+  sendResponse({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+}
+
+function sendProgress(context, elapsed, message) {
+  // Progress is only reported when the client asked for it with a progress token
+  if (context.progressToken === undefined) return;
+
+  sendNotification('notifications/progress', {
+    progressToken: context.progressToken,
+    progress: Math.round(elapsed / 100) / 10,
+    total: retryPolicy.maxWait / 1000,
+    message
+  });
+}
+
 // ============================================================
 // Main Entry Point
 // ============================================================
 
-export async function startBridge(bridgeMode, port) {
-  // Set mode and port from args or command line
-  if (bridgeMode !== undefined) {
-    mode = bridgeMode;
-    customPort = port || null;
-  } else {
-    const parsed = parseBridgeArgs();
-    mode = parsed.mode;
-    customPort = parsed.port;
-  }
+export async function startBridge(bridgeArgs) {
+  // Set targets and retry policy from args or command line
+  const parsed = parseBridgeArgs(bridgeArgs);
+
+  try {
+    targets = buildTargets(parsed);
+    connection.headers = parseHeaders(parsed.headers);
+    connection.agent = createAgent(parsed);
 
-  // Set server name based on mode
-  if (mode && CONFIG[mode]) {
-    serverInfo.name = CONFIG[mode].name;
-  } else {
-    serverInfo.name = `mcp-bridge-${getActivePort()}`;
+    if (parsed.record && parsed.replay) {
+      throw new Error('--record and --replay cannot be used together');
+    }
+    if (parsed.record) {
+      fs.writeFileSync(parsed.record, '');
+      session.recordFile = parsed.record;
+    }
+    if (parsed.replay) {
+      session.replay = loadReplay(parsed.replay);
+    }
+    if (parsed.config) {
+      toolPolicy = loadToolPolicy(parsed.config);
+    }
+  } catch (e) {
+    console.error(`\n  ❌ Error: ${e.message}\n`);
+    process.exit(1);
   }
 
+  if (parsed.maxWait !== null) retryPolicy.maxWait = parsed.maxWait;
+  if (parsed.retryDelay !== null) retryPolicy.initialDelay = parsed.retryDelay;
+  if (parsed.timeout !== null) requestTimeout = parsed.timeout;
+  bridgeOptions.scanPorts = parsed.scanPorts;
+
+  // Set server name based on targets
+  serverInfo.name = isCombined() ? COMBINED_NAME : targets[0].name;
+
   // Set up readline for stdin
   const rl = readline.createInterface({
     input: process.stdin,
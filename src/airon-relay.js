@@ -450,18 +450,24 @@ Options:
 Note: Remote Unity control, Claude Code sessions, and file operations require the node to be online.`;
 }
 
-function forwardToNode(nodeConnection, userEmail, request, timeout = FORWARD_TIMEOUT) {
+// The timeout restarts with every progress report, so long Claude Code runs stay alive while they keep working
+function forwardToNode(nodeConnection, userEmail, request, { timeout = FORWARD_TIMEOUT, onProgress = null } = {}) {
   return new Promise((resolve, reject) => {
     if (pendingRequests.size >= MAX_PENDING_REQUESTS) {
       return reject(new Error('Too many pending requests'));
     }
     
     const requestId = crypto.randomUUID();
+    let timer = null;
     
-    const timer = setTimeout(() => {
-      pendingRequests.delete(requestId);
-      reject(new Error('Timeout'));
-    }, timeout);
+    const startTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        pendingRequests.delete(requestId);
+        reject(new Error('Timeout'));
+      }, timeout);
+    };
+    startTimer();
     
     pendingRequests.set(requestId, {
       resolve: (result) => {
@@ -474,8 +480,11 @@ function forwardToNode(nodeConnection, userEmail, request, timeout = FORWARD_TIM
         pendingRequests.delete(requestId);
         reject(err);
       },
-      userEmail,
-      timer
+      progress: (update) => {
+        startTimer();
+        if (onProgress) onProgress(update);
+      },
+      userEmail
     });
     
     const event = {
@@ -502,21 +511,25 @@ function getTools() {
   return [
     { 
       name: 'claude-code', 
-      description: 'Start a Claude Code development session to execute tasks with AI assistance. Always runs in interactive mode with user approval workflow.\n\n**Interactive Mode:**\n- Requires user approval for each action (file edits, command execution)\n- Allows multi-turn conversation with course correction\n- Claude Code pauses and returns when it needs permission\n- Use claude-continue to provide approval, guidance, or corrections\n- Session persists across multiple claude-continue calls\n- Example flow: Start task → Claude asks permission → User approves → Claude continues → Asks again → User provides guidance\n\n**Available capabilities:**\n- Unity Editor control (play/stop, compilation, custom tools)\n- Unity Game runtime control (scene switching, custom tools)\n- File operations (read, write, edit, create, delete)\n- Terminal execution: DENIED for security\n\n**When to use:**\n- Complex features, refactoring, anything requiring judgment\n- Multi-step tasks that benefit from oversight\n\nFor simple single operations, consider using direct tools (view, str_replace, unity-editor) for instant response without spawning Claude Code.', 
+      description: 'Start a Claude Code development session to execute tasks with AI assistance. Always runs in interactive mode with user approval workflow.\n\n**Interactive Mode:**\n- Requires user approval for each action (file edits, command execution)\n- Allows multi-turn conversation with course correction\n- Claude Code pauses and returns when it needs permission\n- Use claude-continue to provide approval, guidance, or corrections\n- Session persists across multiple claude-continue calls\n- Example flow: Start task → Claude asks permission → User approves → Claude continues → Asks again → User provides guidance\n\n**Available capabilities:**\n- Unity Editor control (play/stop, compilation, custom tools)\n- Unity Game runtime control (scene switching, custom tools)\n- File operations (read, write, edit, create, delete)\n- Terminal execution: DENIED for security\n\n**When to use:**\n- Complex features, refactoring, anything requiring judgment\n- Multi-step tasks that benefit from oversight\n\nFor simple single operations, consider using direct tools (view, str_replace, unity-editor) for instant response without spawning Claude Code.\n\n**Concurrency:** Several sessions can run at once (e.g. an analysis task while another one executes), up to the node\'s --max-sessions limit (default 2). The status tool reports session_limit.\n\n**Result:** JSON with sessionId, status, result (Claude\'s final answer), filesTouched, toolsUsed, permissionDenials (tools that need approval, each with a rule for claude-approve), turns, durationMs and costUsd.\n\n**Budgets:** A run that goes over its time, turn or cost budget is stopped with status timed_out or budget_exceeded and a stopReason; the result keeps the partial output and the full transcript stays available via claude-transcript.\n\n**Progress:** While the session runs, Claude\'s messages and tool use are streamed as progress notifications (when the request carries a progress token), and the call stays open as long as Claude keeps working.\n\n**Isolation:** With isolated: true (or when the node runs with --isolate) the session works in its own git worktree on branch airon/<sessionId>, branched from the last commit, and never touches the live project. Its result includes the worktree. Look at the changes with claude-review, then bring them into the project with claude-merge or throw them away with claude-discard.', 
       inputSchema: { 
         type: 'object', 
         properties: { 
           description: { 
             type: 'string', 
             description: 'Natural language description of the task (e.g. "create a player movement script with WASD controls", "refactor the inventory system to use events", "fix the compilation errors in PlayerController.cs")'
-          }
+          },
+          timeoutMinutes: { type: 'number', description: 'Stop each run after this many minutes (default and maximum: the node\'s --session-timeout, 60 unless configured)' },
+          maxTurns: { type: 'number', description: 'Stop each run after this many turns (capped by the node\'s --max-turns)' },
+          maxCostUsd: { type: 'number', description: 'Stop the session once its total reported cost exceeds this many USD (capped by the node\'s --max-cost)' },
+          isolated: { type: 'boolean', description: 'Work in a separate git worktree until claude-merge (default: false, always on if the node runs with --isolate)' }
         }, 
         required: ['description'] 
       } 
     },
     { 
       name: 'claude-continue', 
-      description: 'Continue an interactive Claude Code session by providing input or resuming after a timeout.\n\n**Use cases:**\n- Provide additional context or corrections to Claude Code\n- Resume a session that paused waiting for input\n- Multi-turn conversation with Claude Code\n\n**Session Management:**\n- If sessionId provided: Continue that specific session\n- If sessionId omitted: Continue the most recent session\n- Check status tool to see active_sessions list\n\n**Example:**\n1. claude-code: "analyze the codebase"\n2. Response: "Which directory should I focus on?"\n3. claude-continue: input="Focus on the Scripts folder"\n4. Response: Claude continues with that guidance', 
+      description: 'Continue an interactive Claude Code session by providing input or resuming after a timeout.\n\n**Use cases:**\n- Provide additional context or corrections to Claude Code\n- Resume a session that paused waiting for input\n- Multi-turn conversation with Claude Code\n\nThe input is sent as the next turn of the same Claude Code conversation (resumed with its full context), not as a new task.\n\n**Session Management:**\n- If sessionId provided: Continue that specific session\n- If sessionId omitted: Continue the most recent session\n- Check status tool to see active_sessions list\n\n**Example:**\n1. claude-code: "analyze the codebase"\n2. Response: "Which directory should I focus on?"\n3. claude-continue: input="Focus on the Scripts folder"\n4. Response: Claude continues with that guidance', 
       inputSchema: { 
         type: 'object', 
         properties: { 
@@ -525,6 +538,81 @@ function getTools() {
         } 
       } 
     },
+    { 
+      name: 'claude-approve', 
+      description: 'Approve specific tool permissions for a Claude Code session and resume it - a middle ground between claude-continue and claude-force.\n\nEvery claude-code/claude-continue result lists permissionDenials, each with a ready-made rule (e.g. "Edit(Assets/Scripts/Player.cs)"). Pass the rules to allow - or broader ones - and the session resumes its conversation with only those tools allowed (--allowedTools). Approvals stay in effect for later claude-continue calls on the same session.\n\n**Rule examples:**\n- Edit(Assets/Scripts/**) - edit files under Assets/Scripts\n- Write(Assets/Prefabs/*.prefab) - create prefabs\n- Bash(npm test) - run one command\n- mcp__unity-editor__play - a specific MCP tool\n\n**Profiles:** Named rule sets defined per project in .airon/permissions.json on the node, e.g. {"profiles": {"scripts": ["Edit(Assets/Scripts/**)", "Write(Assets/Scripts/**)"]}}. Pass profile to apply one (combined with allow).\n\n**Session Management:**\n- If sessionId provided: Approve that specific session\n- If sessionId omitted: Approve the most recent session', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          sessionId: { type: 'string', description: 'Session ID to approve. If omitted, approves the most recent session.' }, 
+          allow: { type: 'array', items: { type: 'string' }, description: 'Tool rules to allow, e.g. ["Edit(Assets/Scripts/**)", "mcp__unity-editor__play"]' }, 
+          profile: { type: 'string', description: 'Name of a permission profile from the project\'s .airon/permissions.json' }, 
+          input: { type: 'string', description: 'Message for Claude when resuming (default: tells it which permissions were granted)' } 
+        } 
+      } 
+    },
+    { 
+      name: 'claude-queue-add', 
+      description: 'Queue Claude Code tasks to run unattended, one after another (e.g. "fix warnings in X", then "add tests for Y"). Returns immediately with the task IDs; the node works through the queue on its own, even across node restarts.\n\nEach task runs in its own session with only the permissions given by its profile (from the project\'s .airon/permissions.json) and allow rules - nobody is around to approve anything. onFailure decides what happens when a task fails: "stop" (default) skips the remaining queued tasks, "continue" moves on to the next one.\n\nReview results later with claude-queue-list, claude-sessions and claude-transcript.', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          tasks: { 
+            type: 'array', 
+            description: 'Tasks in the order they should run', 
+            items: { 
+              type: 'object', 
+              properties: { 
+                description: { type: 'string', description: 'Natural language description of the task' }, 
+                profile: { type: 'string', description: 'Permission profile from .airon/permissions.json' }, 
+                allow: { type: 'array', items: { type: 'string' }, description: 'Extra tool rules to allow, e.g. ["Edit(Assets/Scripts/**)"]' }, 
+                onFailure: { type: 'string', enum: ['stop', 'continue'], description: 'What to do if this task fails (default: stop)' }, 
+                timeoutMinutes: { type: 'number', description: 'Time budget for the task in minutes' }, 
+                maxTurns: { type: 'number', description: 'Turn budget for the task' }, 
+                maxCostUsd: { type: 'number', description: 'Cost budget for the task in USD' }, 
+                isolated: { type: 'boolean', description: 'Work in a separate git worktree until claude-merge (default: false)' } 
+              }, 
+              required: ['description'] 
+            } 
+          } 
+        }, 
+        required: ['tasks'] 
+      } 
+    },
+    { 
+      name: 'claude-queue-list', 
+      description: 'READ-ONLY: List the Claude Code task queue - queued, running and finished tasks with their status (queued, running, completed, failed, aborted, cancelled, skipped, interrupted), session ID and final answer.\n\nPass taskId to get one task with its full result (files touched, tools used, permission denials, cost).', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          taskId: { type: 'string', description: 'Show the full details of this task' }, 
+          status: { type: 'string', description: 'Only tasks with this status' } 
+        } 
+      } 
+    },
+    { 
+      name: 'claude-queue-move', 
+      description: 'Reorder the Claude Code task queue: move a queued task to a new position among the queued tasks (1 = runs next).', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          taskId: { type: 'string', description: 'Task to move' }, 
+          position: { type: 'number', description: 'New position among queued tasks (1 = next)' } 
+        }, 
+        required: ['taskId', 'position'] 
+      } 
+    },
+    { 
+      name: 'claude-queue-cancel', 
+      description: 'Cancel a queued Claude Code task, or abort it if it is already running. Pass all=true to cancel every queued and running task.', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          taskId: { type: 'string', description: 'Task to cancel' }, 
+          all: { type: 'boolean', description: 'Cancel all queued and running tasks' } 
+        } 
+      } 
+    },
     { 
       name: 'claude-force', 
       description: 'Force execution of a Claude Code session with --dangerously-skip-permissions.\n\n**⚠️ IMPORTANT: This command RE-RUNS the task with full permissions**\nWhen you call claude-force, the original task is executed again with `--dangerously-skip-permissions`, which means:\n- File operations will be performed\n- Commands will be executed\n- No additional approval is required\n\n**Workflow:**\n1. claude-code runs in safe mode (analyzes and explains what it wants to do)\n2. User reviews the explanation\n3. claude-force approves and executes with full permissions\n\n**Session Management:**\n- If sessionId provided: Force execute that specific session\n- If sessionId omitted: Force execute the most recent session\n- Check status tool to see active_sessions list\n\n**Example:**\n1. claude-code: "create a file test.txt"\n2. Response: "I need permission to create the file..."\n3. claude-force\n4. Response: "✓ Created test.txt" (file actually created with --dangerously-skip-permissions)', 
@@ -540,24 +628,99 @@ function getTools() {
       description: 'READ-ONLY: Get comprehensive status of the remote development node. Does not modify files, run code, or control Unity.\n\nReturns information about:\n- Node connectivity (online/offline)\n- Claude Code availability\n- Unity Editor status (running/not running)\n- Unity Game status (running/not running)\n- Unity Editor MCP server status (with launch timestamp)\n- Unity Game MCP server status (available during Play Mode)\n- Current task information (if any Claude Code task is running)\n- Active sessions list (all interactive Claude Code sessions with their IDs and status)\n\nUse this to check what Claude Code sessions are available for claude-continue, verify Unity is running, or troubleshoot connectivity issues.', 
       inputSchema: { type: 'object', properties: {} } 
     },
+    { 
+      name: 'claude-review', 
+      description: 'READ-ONLY: Show what an isolated Claude Code session changed in its worktree - a per-file summary and the full diff against the commit it started from, including uncommitted and new files. Does not modify the project. Works while the session is still running.', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          sessionId: { type: 'string', description: 'Isolated session to review (default: the most recent session)' }, 
+          stat: { type: 'boolean', description: 'Only the per-file summary (default: false)' } 
+        } 
+      } 
+    },
+    { 
+      name: 'claude-merge', 
+      description: 'Bring an isolated Claude Code session\'s changes into the live project: commits whatever the session left uncommitted on its branch, merges the branch into the working copy, then removes the worktree and branch. If the merge conflicts or local changes are in the way, the working copy is left as it was and the session is kept. Not available when the node runs with --git-read-only.', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          sessionId: { type: 'string', description: 'Isolated session to merge (default: the most recent session)' }, 
+          message: { type: 'string', description: 'Commit message for the session\'s changes (default: the task description)' }, 
+          squash: { type: 'boolean', description: 'Stage the changes in the working copy without committing them (default: false)' } 
+        } 
+      } 
+    },
+    { 
+      name: 'claude-discard', 
+      description: 'Throw away an isolated Claude Code session\'s changes by removing its worktree and branch. The live project is not touched. The session cannot be continued afterwards.', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          sessionId: { type: 'string', description: 'Isolated session to discard (default: the most recent session)' } 
+        } 
+      } 
+    },
     { 
       name: 'claude-abort', 
-      description: 'Immediately cancel and kill the currently running Claude Code task or session. Use when:\n- Claude Code is stuck or frozen\n- Task is taking too long\n- Wrong task was started\n- Need to start fresh with a different approach\n\n**Important notes:**\n- The session cannot be resumed after aborting\n- Only affects Claude Code tasks (does not stop Unity, MCP servers, or other operations)\n- Use sparingly - interactive mode allows course correction without aborting\n- For interactive sessions, consider using claude-continue with corrective guidance instead of aborting', 
-      inputSchema: { type: 'object', properties: {} } 
+      description: 'Immediately cancel and kill a running Claude Code session. Use when:\n- Claude Code is stuck or frozen\n- Task is taking too long\n- Wrong task was started\n- Need to start fresh with a different approach\n\n**Important notes:**\n- The session cannot be resumed after aborting\n- Only affects Claude Code tasks (does not stop Unity, MCP servers, or other operations)\n- Use sparingly - interactive mode allows course correction without aborting\n- For interactive sessions, consider using claude-continue with corrective guidance instead of aborting\n\n**Session Management:**\n- If sessionId provided: Abort that specific session, leaving other running sessions alone\n- If sessionId omitted: Abort the most recent session', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          sessionId: { 
+            type: 'string', 
+            description: 'Session ID to abort (optional, defaults to the most recent session)' 
+          } 
+        } 
+      } 
     },
     { 
       name: 'claude-sessions', 
-      description: 'READ-ONLY: List all active Claude Code sessions on the remote node. Does not modify files, run code, or control Unity.\n\nShows session IDs, status (running/completed/failed), and timestamps. Use this to:\n- See what interactive sessions are available for claude-continue\n- Check the status of sessions\n- Find session IDs to resume specific sessions\n- Monitor session lifecycle\n\nEach session includes:\n- sessionId: Unique identifier for the session\n- status: Current state (running, completed, failed, aborted)\n- started: When the session was created\n- finished: When the session completed (if applicable)\n\nSessions are automatically cleaned up 5 minutes after completion.', 
-      inputSchema: { type: 'object', properties: {} } 
+      description: 'READ-ONLY: List Claude Code sessions on the remote node, including finished sessions from earlier node runs. Does not modify files, run code, or control Unity.\n\nShows session IDs, status (running/completed/failed/aborted/interrupted), and timestamps, newest first. Use this to:\n- See what sessions are available for claude-continue\n- Check the status of sessions\n- Find session IDs to resume specific sessions or read their transcript (claude-transcript)\n- Look up what was done earlier\n\nEach session includes:\n- sessionId: Unique identifier for the session\n- status: Current state (running, completed, failed, aborted, or interrupted if the node stopped while it ran)\n- started: When the session was created\n- finished: When the session completed (if applicable)\n- progress: turns, tools used, files touched, permission denials, cost and Claude\'s latest message (updated live while running)\n\nSessions and their transcripts are kept in ~/.airon/sessions/<project> on the node.', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          status: { type: 'string', enum: ['running', 'completed', 'failed', 'aborted', 'interrupted', 'error'], description: 'Only sessions with this status' }, 
+          search: { type: 'string', description: 'Only sessions whose description contains this text (case-insensitive)' }, 
+          since: { type: 'string', description: 'Only sessions started at or after this date (ISO 8601, e.g. "2025-06-01")' }, 
+          limit: { type: 'number', description: 'Maximum sessions to return (default: 20)' } 
+        } 
+      } 
+    },
+    { 
+      name: 'claude-transcript', 
+      description: 'READ-ONLY: Page through the full transcript of a Claude Code session - prompts, Claude\'s messages, tool calls with their inputs and results, stderr and the final status of every run. Works for finished sessions from earlier node runs too.\n\nReturns JSON with sessionId, total (number of entries) and entries. Use offset/limit to page.', 
+      inputSchema: { 
+        type: 'object', 
+        properties: { 
+          sessionId: { type: 'string', description: 'Session ID (see claude-sessions)' }, 
+          offset: { type: 'number', description: 'First entry to return (default: 0)' }, 
+          limit: { type: 'number', description: 'Maximum entries to return (default: 50)' } 
+        }, 
+        required: ['sessionId'] 
+      } 
     },
     { name: 'view', description: 'READ-ONLY: View file contents or directory listing. Does not modify files.\n\nFor files: returns content with line numbers. For directories: returns list of files and subdirectories with [FILE] and [DIR] markers. Optionally specify line range for large files.', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'File or directory path (relative to working directory)' }, lines: { type: 'array', items: { type: 'number' }, description: '[start, end] line numbers (1-indexed, end=-1 for EOF)' } }, required: ['path'] } },
     { name: 'grep', description: 'READ-ONLY: Search for a pattern in files. Does not modify files.\n\nCan search a single file or recursively through directories. Returns matching lines with file path and line number.', inputSchema: { type: 'object', properties: { pattern: { type: 'string', description: 'Search pattern (regex supported)' }, path: { type: 'string', description: 'File or directory path (relative to working directory)' }, recursive: { type: 'boolean', description: 'Search directories recursively (default: false)' }, ignoreCase: { type: 'boolean', description: 'Case-insensitive search (default: false)' }, filePattern: { type: 'string', description: 'Filter files by pattern (e.g. "\\.cs$" for C# files)' }, maxResults: { type: 'number', description: 'Maximum results to return (default: 100)' } }, required: ['pattern', 'path'] } },
-    { name: 'str_replace', description: 'Replace a unique string in a file with another string. The old_str must appear exactly once in the file (this prevents accidental multiple replacements). Use this for precise edits to existing files.', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to file (relative to working directory)' }, old_str: { type: 'string', description: 'String to replace (must be unique in file)' }, new_str: { type: 'string', description: 'Replacement string (omit or use empty string to delete)' } }, required: ['path', 'old_str'] } },
-    { name: 'file_create', description: 'Create a new file with the specified content. Creates parent directories automatically if needed. Will overwrite existing files.', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to file (relative to working directory)' }, file_text: { type: 'string', description: 'Complete file content' } }, required: ['path', 'file_text'] } },
-    { name: 'file_delete', description: 'Delete a single file. Does NOT support wildcards or directories. For bulk deletion or directory removal, use the task() tool with Claude Code.', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to file (relative to working directory)' } }, required: ['path'] } },
-    { name: 'mkdir', description: 'Create a new directory. Automatically creates parent directories if they don\'t exist (recursive by default).', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to directory to create (relative to working directory)' }, recursive: { type: 'boolean', description: 'Create parent directories if needed (default: true)', default: true } }, required: ['path'] } },
-    { name: 'rmdir', description: 'Remove an empty directory. Will fail if directory contains any files or subdirectories. For recursive directory deletion, use claude-code.', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to empty directory to remove (relative to working directory)' } }, required: ['path'] } },
-    { name: 'file_move', description: 'Move or rename a file. Can move files between directories. Automatically creates destination directory if needed.', inputSchema: { type: 'object', properties: { source: { type: 'string', description: 'Source file path (relative to working directory)' }, destination: { type: 'string', description: 'Destination file path (relative to working directory)' } }, required: ['source', 'destination'] } },
+    { name: 'str_replace', description: 'Replace a unique string in a file with another string. The old_str must appear exactly once in the file (this prevents accidental multiple replacements). Use this for precise edits to existing files.', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to file (relative to working directory)' }, old_str: { type: 'string', description: 'String to replace (must be unique in file)' }, new_str: { type: 'string', description: 'Replacement string (omit or use empty string to delete)' }, dryRun: { type: 'boolean', description: 'Return a unified diff of the change without writing anything (default: false)' } }, required: ['path', 'old_str'] } },
+    { name: 'multi_edit', description: 'Make several str_replace-style edits across one or more files in a single call. Edits are applied in order (later edits see the result of earlier ones). Everything is validated first and then written all-or-nothing: if any edit fails (old_str missing or not unique, file missing), no file is changed and every problem is reported.', inputSchema: { type: 'object', properties: { edits: { type: 'array', description: 'Edits to apply, in order', items: { type: 'object', properties: { path: { type: 'string', description: 'Path to file (relative to working directory)' }, old_str: { type: 'string', description: 'String to replace (must be unique in file unless replace_all)' }, new_str: { type: 'string', description: 'Replacement string (omit or use empty string to delete)' }, replace_all: { type: 'boolean', description: 'Replace every occurrence (default: false)' } }, required: ['path', 'old_str'] } }, dryRun: { type: 'boolean', description: 'Return a unified diff of the change without writing anything (default: false)' } }, required: ['edits'] } },
+    { name: 'apply_patch', description: 'Apply a unified diff (as produced by git diff or diff -u) to the working directory. Supports modifying, creating (--- /dev/null), deleting (+++ /dev/null) and renaming files, CRLF files and hunks whose position has shifted. All hunks are checked first and the patch is written all-or-nothing: if any hunk does not match, no file is changed. Paths are relative to the working directory (a/ and b/ prefixes are stripped).', inputSchema: { type: 'object', properties: { patch: { type: 'string', description: 'Unified diff text' }, dryRun: { type: 'boolean', description: 'Return a unified diff of the change without writing anything (default: false)' } }, required: ['patch'] } },
+    { name: 'file_create', description: 'Create a new file with the specified content. Creates parent directories automatically if needed. Will overwrite existing files.', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to file (relative to working directory)' }, file_text: { type: 'string', description: 'Complete file content' }, dryRun: { type: 'boolean', description: 'Return a unified diff of the change without writing anything (default: false)' } }, required: ['path', 'file_text'] } },
+    { name: 'file_delete', description: 'Delete a single file. Does NOT support wildcards or directories. For bulk deletion or directory removal, use the task() tool with Claude Code.', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to file (relative to working directory)' }, dryRun: { type: 'boolean', description: 'Return a unified diff of the change without writing anything (default: false)' } }, required: ['path'] } },
+    { name: 'mkdir', description: 'Create a new directory. Automatically creates parent directories if they don\'t exist (recursive by default).', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to directory to create (relative to working directory)' }, recursive: { type: 'boolean', description: 'Create parent directories if needed (default: true)', default: true }, dryRun: { type: 'boolean', description: 'Describe the operation without performing it (default: false)' } }, required: ['path'] } },
+    { name: 'rmdir', description: 'Remove an empty directory. Will fail if directory contains any files or subdirectories. For recursive directory deletion, use claude-code.', inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to empty directory to remove (relative to working directory)' }, dryRun: { type: 'boolean', description: 'Describe the operation without performing it (default: false)' } }, required: ['path'] } },
+    { name: 'file_move', description: 'Move or rename a file. Can move files between directories. Automatically creates destination directory if needed.', inputSchema: { type: 'object', properties: { source: { type: 'string', description: 'Source file path (relative to working directory)' }, destination: { type: 'string', description: 'Destination file path (relative to working directory)' }, dryRun: { type: 'boolean', description: 'Describe the operation without performing it (default: false)' } }, required: ['source', 'destination'] } },
+    { name: 'history', description: 'READ-ONLY: List recent file changes made through the node\'s file tools (str_replace, multi_edit, apply_patch, file_create, file_delete, file_move, mkdir, rmdir), newest first, with checkpoints, undos and which entries have been undone. Changes Claude Code makes itself are not included.', inputSchema: { type: 'object', properties: { limit: { type: 'number', description: 'Maximum entries to return (default: 20)' } } } },
+    { name: 'undo', description: 'Undo the last n file changes made through the node\'s file tools, restoring the previous content (including deleted and overwritten files). Refuses if a file has been changed since (e.g. by Claude Code) unless force is set. Undos are recorded in history but cannot themselves be undone.', inputSchema: { type: 'object', properties: { n: { type: 'number', description: 'Number of changes to undo (default: 1)' }, force: { type: 'boolean', description: 'Overwrite files that changed since (default: false)' }, dryRun: { type: 'boolean', description: 'Return the operations and a diff of what would be rolled back without writing anything (default: false)' } } } },
+    { name: 'checkpoint', description: 'Mark the current point in the file change history with a name, so every later change made through the node\'s file tools can be rolled back with restore.', inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Checkpoint name (reusing a name moves it)' } }, required: ['name'] } },
+    { name: 'restore', description: 'Roll back every file change made through the node\'s file tools since the named checkpoint. Refuses if a file has been changed since (e.g. by Claude Code) unless force is set.', inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Checkpoint name' }, force: { type: 'boolean', description: 'Overwrite files that changed since (default: false)' }, dryRun: { type: 'boolean', description: 'Return the operations and a diff of what would be rolled back without writing anything (default: false)' } }, required: ['name'] } },
+    { name: 'git_status', description: 'READ-ONLY: Show the current branch and changed, staged and untracked files in the working directory (git status --short). Only paths inside the working directory are shown.', inputSchema: { type: 'object', properties: {} } },
+    { name: 'git_diff', description: 'READ-ONLY: Show uncommitted changes in the working directory as a unified diff - unstaged by default, or staged with staged: true. Paths are relative to the working directory.', inputSchema: { type: 'object', properties: { paths: { type: 'array', items: { type: 'string' }, description: 'Only these files or directories (relative to working directory, default: all)' }, staged: { type: 'boolean', description: 'Show staged changes instead of unstaged (default: false)' }, stat: { type: 'boolean', description: 'Only a per-file summary (default: false)' } } } },
+    { name: 'git_log', description: 'READ-ONLY: List recent commits that touch the working directory, one line each (hash, date, author, subject).', inputSchema: { type: 'object', properties: { limit: { type: 'number', description: 'Maximum commits to return (default: 20)' }, ref: { type: 'string', description: 'Branch, commit or range to list (default: current branch)' }, paths: { type: 'array', items: { type: 'string' }, description: 'Only these files or directories (relative to working directory, default: all)' } } } },
+    { name: 'git_commit', description: 'Commit changes in the working directory. Stages the given paths first (including new and deleted files); without paths, commits what is already staged. Refuses if changes outside the working directory are staged. Not available when the node runs with --git-read-only.', inputSchema: { type: 'object', properties: { message: { type: 'string', description: 'Commit message' }, paths: { type: 'array', items: { type: 'string' }, description: 'Files or directories to stage and commit (relative to working directory; use "." for everything)' } }, required: ['message'] } },
+    { name: 'git_branch', description: 'List branches, or create or delete one. Deleting refuses branches that are not merged. Creating and deleting are not available when the node runs with --git-read-only.', inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Branch to create or delete (omit to list branches)' }, startPoint: { type: 'string', description: 'Commit or branch the new branch starts at (default: current commit)' }, delete: { type: 'boolean', description: 'Delete the branch instead of creating it (default: false)' } } } },
+    { name: 'git_checkout', description: 'Switch the working directory to another branch, optionally creating it. Git refuses if uncommitted changes would be overwritten - commit or stash them first. Not available when the node runs with --git-read-only.', inputSchema: { type: 'object', properties: { branch: { type: 'string', description: 'Branch to switch to' }, create: { type: 'boolean', description: 'Create the branch first (default: false)' } }, required: ['branch'] } },
+    { name: 'git_stash', description: 'Manage stashes: list (default) and show are read-only; push stashes the uncommitted changes inside the working directory, pop/apply/drop act on a stash by index. Only list and show are available when the node runs with --git-read-only.', inputSchema: { type: 'object', properties: { action: { type: 'string', enum: ['list', 'show', 'push', 'pop', 'apply', 'drop'], description: 'What to do (default: list)' }, index: { type: 'number', description: 'Stash index for show/pop/apply/drop (default: 0, the newest)' }, message: { type: 'string', description: 'Description for push' }, untracked: { type: 'boolean', description: 'Also stash untracked files on push (default: false)' } } } },
     { name: 'unity-editor', description: 'Call a Unity Editor MCP tool directly (port 3002). Includes default tools (play, stop, pause, status, viewlog) and any custom tools configured by the user. This bypasses Claude Code for instant Unity Editor control. IMPORTANT: Unity only compiles when it is the foreground application. After file operations, remind the user to focus Unity to trigger compilation.', inputSchema: { type: 'object', properties: { tool: { type: 'string', description: 'Tool name to call (e.g. "play", "status", "viewlog"). Use unity-tools to see all available tools.' }, args: { type: 'object', description: 'Tool arguments as key-value pairs (e.g. {"lines": [1, 100]})' } }, required: ['tool'] } },
     { name: 'unity-game', description: 'Call a Unity Game MCP tool directly (port 3003) during Play Mode. Includes default tools (status, execute, viewlog) and any custom tools configured by the user. This bypasses Claude Code for instant game runtime control.', inputSchema: { type: 'object', properties: { tool: { type: 'string', description: 'Tool name to call (e.g. "execute", "status", "viewlog"). Use unity-tools to see all available tools.' }, args: { type: 'object', description: 'Tool arguments as key-value pairs (e.g. {"script": "return 2+2"})' } }, required: ['tool'] } },
     { name: 'unity-tools', description: 'READ-ONLY: List all available Unity MCP tools from both Editor (port 3002) and Game (port 3003) servers. Does not modify files or control Unity.\n\nShows tool names, descriptions, and required parameters.', inputSchema: { type: 'object', properties: {} } }
@@ -647,8 +810,30 @@ app.post('/mcp', authMiddleware, async (req, res) => {
     if (!nodeConnection) {
       result = { content: [{ type: 'text', text: formatOfflineMessage() }] };
     } else {
+      // Relay the node's progress reports to the client when it asked for them
+      const progressToken = params?._meta?.progressToken;
+      let lastProgress = 0;
+      const onProgress = (update) => {
+        resetIdleTimer(session, sessionId);
+        if (progressToken === undefined) return;
+        
+        // Progress must increase - drop anything that arrives out of order
+        const progress = Number(update?.progress);
+        if (!(progress > lastProgress)) return;
+        lastProgress = progress;
+        
+        const notification = {
+          jsonrpc: '2.0',
+          method: 'notifications/progress',
+          params: { progressToken, progress, ...(update.message ? { message: String(update.message) } : {}) }
+        };
+        try {
+          session.res.write(`event: message\ndata: ${JSON.stringify(notification)}\n\n`);
+        } catch {}
+      };
+      
       try {
-        result = await forwardToNode(nodeConnection, session.user.email, { method, params, id });
+        result = await forwardToNode(nodeConnection, session.user.email, { method, params, id }, { onProgress });
       } catch (err) {
         result = { content: [{ type: 'text', text: '⚠️ Error: ' + err.message }] };
       }
@@ -743,6 +928,22 @@ app.post('/node', authMiddleware, (req, res) => {
   res.json({ ok: true });
 });
 
+app.post('/node/progress', authMiddleware, (req, res) => {
+  const { requestId } = req.query;
+  const pending = pendingRequests.get(requestId);
+  
+  if (!pending) {
+    return res.status(400).json({ error: 'Unknown request ID' });
+  }
+  
+  if (pending.userEmail !== req.user.email) {
+    return res.status(403).json({ error: 'Request belongs to different user' });
+  }
+  
+  pending.progress(req.body);
+  res.json({ ok: true });
+});
+
 // ============================================================
 // Health Check
 // ============================================================
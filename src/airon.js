@@ -15,15 +15,17 @@
  *   airon -m bridge [port]                Bridge mode - stdio MCP bridge (generic)
  *   airon -m bridge --editor [port]       Bridge mode - Unity Editor MCP
  *   airon -m bridge --game [port]         Bridge mode - Unity Game MCP
+ *   airon -m bridge --both                Bridge mode - Unity Editor + Game MCP
+ *   airon -m bridge --url <url>           Bridge mode - MCP at a full http(s) endpoint
  *
  * Run 'airon --help' for full options.
  */
 
 import { platform, homedir } from 'os';
 import { execSync, spawnSync, spawn } from 'child_process';
-import { resolve, relative, join, dirname } from 'path';
-import { existsSync, mkdirSync, readFileSync, writeFileSync, realpathSync } from 'fs';
-import { randomUUID } from 'crypto';
+import { resolve, relative, join, dirname, basename } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync, readdirSync, realpathSync, renameSync, unlinkSync, rmSync, rmdirSync, statSync } from 'fs';
+import { randomUUID, createHash } from 'crypto';
 import readline from 'readline';
 import open from 'open';
 
@@ -36,6 +38,9 @@ import { startBridge } from './airon-bridge.js';
 // ============================================================
 
 const CREDENTIALS_PATH = join(homedir(), '.airon', 'credentials.json');
+const SESSIONS_ROOT = join(homedir(), '.airon', 'sessions');
+const JOURNAL_ROOT = join(homedir(), '.airon', 'journal');
+const WORKTREES_ROOT = join(homedir(), '.airon', 'worktrees');
 const DEFAULT_RELAY_URL = 'https://dev.airon.games';
 const DEFAULT_OIDC_ISSUER = 'https://accounts.google.com';
 
@@ -43,6 +48,12 @@ let WORKING_DIR = process.cwd();
 let RELAY_URL = DEFAULT_RELAY_URL;
 let UNITY_EDITOR_PORT = 3002;
 let UNITY_GAME_PORT = 3003;
+let MAX_CLAUDE_SESSIONS = 2;
+let GIT_READ_ONLY = false;
+let ISOLATE_SESSIONS = false;
+
+// Node-wide budgets: the defaults for every session and the most a session may ask for
+let CLAUDE_BUDGET = { timeoutMinutes: 60, maxTurns: null, maxCostUsd: null };
 
 // OIDC configuration
 let OIDC_ISSUER = null;
@@ -60,14 +71,14 @@ let currentCredentials = null;
 // Global State
 // ============================================================
 
-let currentTask = null;
-let isAborted = false;
+// Each session owns its process and run state; currentSessionId is only the default for continue/force/abort
 let activeSessions = new Map();
 let currentSessionId = null;
-let currentProcess = null;
-let taskCompletionResolve = null;
 let readlineInterface = null;
 
+// Remote file tools only preview their changes until the node operator confirms (--dry-run)
+let dryRunEnforced = false;
+
 // ============================================================
 // Path Validation
 // ============================================================
@@ -253,20 +264,340 @@ async function refreshTokenIfNeeded() {
 // Claude Code Session Management
 // ============================================================
 
-function spawnClaudeCode(args, sessionId, sessionData) {
+// Machine-readable output, so the Claude Code session id can be captured for --resume
+const CLAUDE_OUTPUT_ARGS = ['--output-format', 'stream-json', '--verbose'];
+
+// Claude Code tools that write the file named in their input
+const FILE_WRITE_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+function createRunSummary() {
+  return {
+    result: null,
+    resultSubtype: null,
+    isError: false,
+    filesTouched: [],
+    pendingWrites: {},
+    toolsUsed: {},
+    permissionDenials: [],
+    turns: 0,
+    durationMs: null,
+    costUsd: null,
+    lastMessage: null,
+    lastActivity: null
+  };
+}
+
+function toRelativePath(filePath, baseDir = WORKING_DIR) {
+  const relativePath = relative(baseDir, resolve(baseDir, filePath));
+  return relativePath.startsWith('..') ? filePath : relativePath.replace(/\\/g, '/');
+}
+
+// The narrowest --allowedTools rule that would have let a denied call through
+function toPermissionRule(tool, input = {}, baseDir = WORKING_DIR) {
+  const filePath = input?.file_path || input?.notebook_path;
+  if (filePath) {
+    return `${tool}(${toRelativePath(filePath, baseDir)})`;
+  }
+  if (tool === 'Bash' && input?.command) {
+    return `Bash(${input.command})`;
+  }
+  if (tool === 'WebFetch' && input?.url) {
+    try {
+      return `WebFetch(domain:${new URL(input.url).hostname})`;
+    } catch {}
+  }
+  return tool;
+}
+
+function handleClaudeEvent(event, session, summary) {
+  // Every event carries Claude Code's own session id - resumed sessions may get a new one
+  if (event.session_id && session) {
+    session.claudeSessionId = event.session_id;
+  }
+  summary.lastActivity = new Date().toISOString();
+  // Isolated sessions report paths inside their worktree the way they'll land in the project
+  const baseDir = session?.worktree?.cwd || WORKING_DIR;
+
+  if (event.type === 'assistant') {
+    const text = [];
+    summary.turns++;
+
+    for (const block of event.message?.content || []) {
+      if (block.type === 'text') {
+        text.push(block.text);
+      } else if (block.type === 'tool_use') {
+        summary.toolsUsed[block.name] = (summary.toolsUsed[block.name] || 0) + 1;
+
+        // Only counted once the tool result shows the write went through
+        const filePath = block.input?.file_path || block.input?.notebook_path;
+        if (FILE_WRITE_TOOLS.includes(block.name) && filePath) {
+          summary.pendingWrites[block.id] = toRelativePath(filePath, baseDir);
+        }
+      }
+    }
+
+    if (text.length > 0) {
+      summary.lastMessage = text.join('\n');
+    }
+    return text.join('\n');
+  }
+
+  if (event.type === 'user') {
+    for (const block of event.message?.content || []) {
+      const file = block.type === 'tool_result' && summary.pendingWrites[block.tool_use_id];
+      if (!file) continue;
+
+      delete summary.pendingWrites[block.tool_use_id];
+      if (!block.is_error && !summary.filesTouched.includes(file)) {
+        summary.filesTouched.push(file);
+      }
+    }
+  }
+
+  if (event.type === 'result') {
+    summary.result = event.result ?? null;
+    summary.resultSubtype = event.subtype ?? 'success';
+    summary.isError = !!event.is_error;
+    summary.turns = event.num_turns ?? summary.turns;
+    summary.durationMs = event.duration_ms ?? null;
+    summary.costUsd = event.total_cost_usd ?? null;
+    summary.permissionDenials = (event.permission_denials || []).map(denial => ({
+      tool: denial.tool_name,
+      input: denial.tool_input,
+      rule: toPermissionRule(denial.tool_name, denial.tool_input, baseDir)
+    }));
+  }
+
+  return null;
+}
+
+// Keep progress notifications short - the full text is in the final result
+const PROGRESS_MESSAGE_LIMIT = 500;
+
+// One line per thing worth showing the remote client while the session runs
+function describeClaudeEvent(event) {
+  if (event.type !== 'assistant') return [];
+
+  const lines = [];
+  for (const block of event.message?.content || []) {
+    if (block.type === 'text' && block.text?.trim()) {
+      const text = block.text.trim();
+      lines.push(text.length > PROGRESS_MESSAGE_LIMIT ? text.substring(0, PROGRESS_MESSAGE_LIMIT) + '…' : text);
+    } else if (block.type === 'tool_use') {
+      const input = block.input || {};
+      const target = input.file_path || input.notebook_path || input.command || input.pattern || input.url || '';
+      const detail = target ? ` ${String(target).split('\n')[0].substring(0, 200)}` : '';
+      lines.push(`🔧 ${block.name}${detail}`);
+    }
+  }
+  return lines;
+}
+
+function formatRunResult(session, status, summary, output) {
+  return JSON.stringify({
+    sessionId: session.sessionId,
+    status,
+    ...(session.worktree ? { worktree: { branch: session.worktree.branch, path: session.worktree.path } } : {}),
+    ...(summary.stopReason ? { stopReason: summary.stopReason } : {}),
+    // The final answer; fall back to everything Claude said (and stderr) if there was none
+    result: summary.result || output.trim() || null,
+    filesTouched: summary.filesTouched,
+    toolsUsed: summary.toolsUsed,
+    permissionDenials: summary.permissionDenials,
+    turns: summary.turns,
+    durationMs: summary.durationMs,
+    costUsd: summary.costUsd
+  }, null, 2);
+}
+
+// ============================================================
+// Session History
+// ============================================================
+
+// Per-project state lives under ~/.airon/<kind>/<project folder name>-<hash of its path>
+function getProjectKey() {
+  const name = basename(WORKING_DIR).replace(/[^\w.-]/g, '_') || 'root';
+  const hash = createHash('sha1').update(WORKING_DIR).digest('hex').substring(0, 8);
+  return `${name}-${hash}`;
+}
+
+// Sessions outlive the node: <sessionId>.json holds the session, <sessionId>.jsonl its transcript
+function getSessionsDir() {
+  return join(SESSIONS_ROOT, getProjectKey());
+}
+
+function ensureSessionsDir() {
+  const dir = getSessionsDir();
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+function saveSession(session) {
+  const { process: proc, cleanupTimer, aborted, ...data } = session;
+  try {
+    writeFileSync(join(ensureSessionsDir(), `${session.sessionId}.json`), JSON.stringify(data, null, 2));
+  } catch (err) {
+    console.error(`  ⚠️ Failed to save session ${session.sessionId}: ${err.message}`);
+  }
+}
+
+function appendTranscript(sessionId, entries) {
+  if (entries.length === 0) return;
+
+  const time = new Date().toISOString();
+  const lines = entries.map(entry => JSON.stringify({ time, ...entry }) + '\n').join('');
+  try {
+    appendFileSync(join(ensureSessionsDir(), `${sessionId}.jsonl`), lines);
+  } catch (err) {
+    console.error(`  ⚠️ Failed to write transcript for ${sessionId}: ${err.message}`);
+  }
+}
+
+function readSessionFile(file) {
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf-8'));
+    // Still marked running on disk means the node that ran it is gone
+    if (data.status === 'running') {
+      data.status = 'interrupted';
+    }
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && /^[\w-]+$/.test(sessionId);
+}
+
+// In-memory sessions first, then history - so sessions from before a restart can still be continued.
+// A session from history only goes back into memory while it runs (see startClaudeRun)
+function getSession(sessionId) {
+  if (activeSessions.has(sessionId)) {
+    return activeSessions.get(sessionId);
+  }
+  if (!isValidSessionId(sessionId)) {
+    return null;
+  }
+
+  const data = readSessionFile(join(getSessionsDir(), `${sessionId}.json`));
+  if (!data) return null;
+
+  return { ...data, process: null };
+}
+
+// All known sessions for this project, newest first
+function listSessionHistory() {
+  const dir = getSessionsDir();
+  const sessions = new Map();
+
+  if (existsSync(dir)) {
+    for (const file of readdirSync(dir).filter(f => f.endsWith('.json'))) {
+      const data = readSessionFile(join(dir, file));
+      if (data?.sessionId) {
+        sessions.set(data.sessionId, data);
+      }
+    }
+  }
+  for (const session of activeSessions.values()) {
+    sessions.set(session.sessionId, session);
+  }
+
+  return Array.from(sessions.values()).sort((a, b) => (b.started || '').localeCompare(a.started || ''));
+}
+
+function readTranscript(sessionId, offset, limit) {
+  const file = join(getSessionsDir(), `${sessionId}.jsonl`);
+  if (!isValidSessionId(sessionId) || !existsSync(file)) {
+    return null;
+  }
+
+  const lines = readFileSync(file, 'utf-8').split('\n').filter(line => line.trim());
+  const entries = lines.slice(offset, offset + limit).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return { type: 'output', text: line };
+    }
+  });
+
+  return { total: lines.length, entries };
+}
+
+// Transcript entries keep the full output - unlike progress messages nothing is shortened
+function toTranscriptEntries(event) {
+  const entries = [];
+
+  if (event.type === 'assistant') {
+    for (const block of event.message?.content || []) {
+      if (block.type === 'text') {
+        entries.push({ type: 'assistant', text: block.text });
+      } else if (block.type === 'tool_use') {
+        entries.push({ type: 'tool_use', id: block.id, tool: block.name, input: block.input });
+      }
+    }
+  } else if (event.type === 'user') {
+    for (const block of event.message?.content || []) {
+      if (block.type !== 'tool_result') continue;
+      const content = Array.isArray(block.content)
+        ? block.content.map(part => part.text ?? JSON.stringify(part)).join('\n')
+        : block.content;
+      entries.push({ type: 'tool_result', id: block.tool_use_id, isError: !!block.is_error, text: content });
+    }
+  } else if (event.type === 'result') {
+    entries.push({ type: 'result', isError: !!event.is_error, text: event.result ?? null });
+  }
+
+  return entries;
+}
+
+function spawnClaudeCode(args, session, runOptions = {}) {
   return new Promise((resolve) => {
     const isWindows = platform() === 'win32';
     let localOutputBuffer = '';
+    let lineBuffer = '';
+    const summary = createRunSummary();
+
+    session.progress = summary;
+    session.aborted = false;
+    session.stopStatus = null;
+    
+    const budget = session.budget || resolveBudget();
+    const previousCostUsd = session.totalCostUsd || 0;
+    
+    // Stop the run but keep everything it produced so far - unless it has already returned its result
+    const stopRun = (status, reason) => {
+      if (session.stopStatus || session.aborted || !session.process || summary.resultSubtype) return;
+      session.stopStatus = status;
+      summary.stopReason = reason;
+      console.log(`\n  ⏱️  Stopping session ${session.sessionId}: ${reason}`);
+      killClaudeProcess(session);
+    };
     
+    const timeoutTimer = budget.timeoutMinutes && setTimeout(() => {
+      stopRun('timed_out', `No result after ${budget.timeoutMinutes} minutes`);
+    }, budget.timeoutMinutes * 60 * 1000);
+    
+    // Claude Code enforces both limits itself; a run only gets what the session has left of its cost budget
+    const remainingCostUsd = budget.maxCostUsd ? Math.max(budget.maxCostUsd - previousCostUsd, 0) : null;
+    args = [
+      ...args,
+      ...(budget.maxTurns ? ['--max-turns', String(budget.maxTurns)] : []),
+      ...(remainingCostUsd !== null ? ['--max-budget-usd', remainingCostUsd.toFixed(4)] : []),
+      ...CLAUDE_OUTPUT_ARGS
+    ];
+
     let proc;
     if (isWindows) {
       proc = spawn('cmd', ['/c', 'claude', ...args], {
-        cwd: process.cwd(),
+        cwd: session.worktree?.cwd || process.cwd(),
         stdio: ['pipe', 'pipe', 'pipe']
       });
     } else {
       proc = spawn('claude', args, {
-        cwd: process.cwd(),
+        cwd: session.worktree?.cwd || process.cwd(),
         stdio: ['pipe', 'pipe', 'pipe']
       });
     }
@@ -274,82 +605,129 @@ function spawnClaudeCode(args, sessionId, sessionData) {
     proc.stdin.end();
     
     proc.stdout.on('data', (data) => {
-      const text = data.toString();
-      console.log('     ' + text.replace(/\n/g, '\n     '));
-      localOutputBuffer += text;
+      lineBuffer += data.toString();
+      const lines = lineBuffer.split('\n');
+      lineBuffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          // Not an event (e.g. a warning printed by the CLI) - keep it as plain output
+          localOutputBuffer += line + '\n';
+          appendTranscript(session.sessionId, [{ type: 'output', text: line }]);
+          continue;
+        }
+
+        const claudeSessionId = session.claudeSessionId;
+        const text = handleClaudeEvent(event, session, summary);
+        appendTranscript(session.sessionId, toTranscriptEntries(event));
+        if (session.claudeSessionId !== claudeSessionId) {
+          saveSession(session);
+        }
+        if (text) {
+          console.log('     ' + text.replace(/\n/g, '\n     '));
+          localOutputBuffer += text + '\n';
+        }
+
+        if (runOptions.onProgress) {
+          describeClaudeEvent(event).forEach(message => runOptions.onProgress(message));
+        }
+      }
     });
     
     proc.stderr.on('data', (data) => {
       const text = data.toString();
       localOutputBuffer += text;
+      appendTranscript(session.sessionId, [{ type: 'stderr', text }]);
       process.stdout.write('     ' + text.replace(/\n/g, '\n     '));
     });
     
     proc.on('close', (code) => {
-      const session = activeSessions.get(sessionId);
-      if (session) {
-        session.status = isAborted ? 'aborted' : (code === 0 ? 'completed' : 'failed');
-        session.finished = new Date().toISOString();
-        
-        if (sessionData.cleanupAfter) {
-          setTimeout(() => {
-            activeSessions.delete(sessionId);
-            console.log(`  🧹 Cleaned up session ${sessionId}`);
-          }, 5 * 60 * 1000);
-        }
+      clearTimeout(timeoutTimer);
+      if (!session.aborted && summary.resultSubtype === 'error_max_turns') {
+        session.stopStatus = 'budget_exceeded';
+        summary.stopReason = budget.maxTurns ? `Reached the ${budget.maxTurns} turn limit` : 'Reached the turn limit';
+      } else if (!session.aborted && summary.resultSubtype === 'error_max_budget_usd') {
+        session.stopStatus = 'budget_exceeded';
+        summary.stopReason = budget.maxCostUsd ? `Exceeded the $${budget.maxCostUsd} cost limit` : 'Exceeded the cost limit';
       }
+      const status = session.aborted ? 'aborted' :
+        session.stopStatus || (code === 0 && !summary.isError ? 'completed' : 'failed');
+
+      session.status = status;
+      session.finished = new Date().toISOString();
+      session.exitCode = code;
+      session.process = null;
+      session.totalCostUsd = previousCostUsd + (summary.costUsd || 0);
+      saveSession(session);
+      appendTranscript(session.sessionId, [{ type: 'status', status, exitCode: code }]);
       
-      const status = isAborted ? 'aborted' : (code === 0 ? 'completed' : 'failed');
+      session.cleanupTimer = setTimeout(() => {
+        activeSessions.delete(session.sessionId);
+        console.log(`  🧹 Cleaned up session ${session.sessionId}`);
+      }, 5 * 60 * 1000);
       
-      currentTask = {
-        ...currentTask,
-        status: status,
-        finished: new Date().toISOString(),
-        exitCode: code,
-        output: localOutputBuffer
-      };
+      const output = formatRunResult(session, status, summary, localOutputBuffer);
       
-      if (isAborted) {
-        console.log(`\n  🛑 Session aborted\n`);
+      if (session.aborted) {
+        console.log(`\n  🛑 Session ${session.sessionId} aborted\n`);
+      } else if (session.stopStatus) {
+        console.log(`\n  ⏱️  Session ${session.sessionId} ${status}: ${summary.stopReason}\n`);
       } else {
-        const successMsg = sessionData.successMessage || 'Session completed';
-        const failMsg = sessionData.failMessage || `Session failed (exit ${code})`;
+        const successMsg = runOptions.successMessage || 'Session completed';
+        const failMsg = runOptions.failMessage || `Session failed (exit ${code})`;
         console.log(code === 0 ? `\n  ✓ ${successMsg}\n` : `\n  ❌ ${failMsg}\n`);
       }
       
-      isAborted = false;
-      currentProcess = null;
-      
-      if (taskCompletionResolve) {
-        const resolver = taskCompletionResolve;
-        taskCompletionResolve = null;
-        resolver(localOutputBuffer);
-      } else {
-        resolve(localOutputBuffer);
-      }
+      resolve(output);
     });
     
     proc.on('error', (err) => {
-      const session = activeSessions.get(sessionId);
-      if (session) {
-        session.status = 'error';
-        session.finished = new Date().toISOString();
-      }
+      clearTimeout(timeoutTimer);
+      session.status = 'error';
+      session.finished = new Date().toISOString();
+      session.process = null;
+      saveSession(session);
+      appendTranscript(session.sessionId, [{ type: 'status', status: 'error', text: err.message }]);
       console.log(`\n  ❌ Process error: ${err.message}\n`);
-      currentProcess = null;
-      
-      if (taskCompletionResolve) {
-        taskCompletionResolve(`❌ Error: ${err.message}`);
-        taskCompletionResolve = null;
-      } else {
-        resolve(`❌ Error: ${err.message}`);
-      }
+      resolve(`❌ Error: ${err.message}`);
     });
     
-    currentProcess = proc;
+    session.process = proc;
   });
 }
 
+function killClaudeProcess(session) {
+  if (platform() === 'win32') {
+    spawn('taskkill', ['/pid', session.process.pid, '/f', '/t']);
+  } else {
+    session.process.kill('SIGTERM');
+  }
+}
+
+function abortClaudeSession(session) {
+  session.aborted = true;
+  killClaudeProcess(session);
+}
+
+// A session may tighten the node-wide budgets but not loosen them
+function resolveBudget(requested = {}) {
+  const pick = (value, limit) => {
+    if (!(value > 0)) return limit;
+    return limit ? Math.min(value, limit) : value;
+  };
+  
+  return {
+    timeoutMinutes: pick(requested.timeoutMinutes, CLAUDE_BUDGET.timeoutMinutes),
+    maxTurns: pick(requested.maxTurns, CLAUDE_BUDGET.maxTurns),
+    maxCostUsd: pick(requested.maxCostUsd, CLAUDE_BUDGET.maxCostUsd)
+  };
+}
+
 // ============================================================
 // Command Line Parsing
 // ============================================================
@@ -366,7 +744,7 @@ function parseArgs() {
     'p': 'path'
   };
 
-  const booleanFlags = ['help', 'h'];
+  const booleanFlags = ['help', 'h', 'dry-run', 'git-read-only', 'isolate'];
 
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
@@ -417,6 +795,13 @@ if (args.help || args.h) {
   console.log('    -e, --editor-port <port>   Unity Editor MCP port (default: 3002)');
   console.log('    -g, --game-port <port>     Unity Game MCP port (default: 3003)');
   console.log('    -p, --path <directory>     Working directory (default: current)');
+  console.log('    --max-sessions <n>         Concurrent Claude Code sessions (default: 2, env: AIRON_MAX_SESSIONS)');
+  console.log('    --session-timeout <min>    Stop a Claude Code run after this long (default: 60, env: AIRON_SESSION_TIMEOUT)');
+  console.log('    --max-turns <n>            Stop a Claude Code run after this many turns (env: AIRON_MAX_TURNS)');
+  console.log('    --max-cost <usd>           Stop a Claude Code session once it has cost this much (env: AIRON_MAX_COST)');
+  console.log('    --dry-run                  Only preview remote file changes until confirm-writes (env: AIRON_DRY_RUN=1)');
+  console.log('    --git-read-only            Allow git status/diff/log but no commits, branches or stashes (env: AIRON_GIT_READ_ONLY=1)');
+  console.log('    --isolate                  Run every Claude Code session in its own git worktree (env: AIRON_ISOLATE=1)');
   console.log('');
   console.log('  Relay Mode - Run as relay server:');
   console.log('    airon -m relay');
@@ -429,6 +814,19 @@ if (args.help || args.h) {
   console.log('    airon -m bridge [port]               Generic MCP on specified port');
   console.log('    airon -m bridge --editor [port]      Unity Editor MCP (default: 3002)');
   console.log('    airon -m bridge --game [port]        Unity Game MCP (default: 3003)');
+  console.log('    airon -m bridge --both               Editor + Game, tools prefixed editor:/game:');
+  console.log('    airon -m bridge --url <url>          Generic MCP at a full http(s) endpoint');
+  console.log('    --header "Name: value"               Extra request header, repeatable (${VAR} reads the environment)');
+  console.log('    --ca <file>                          Trust a custom CA / self-signed certificate (PEM)');
+  console.log('    --insecure                           Skip TLS certificate verification');
+  console.log('    --max-wait <seconds>                 Max wait for Unity to come back (default: 120)');
+  console.log('    --retry-delay <ms>                   First retry delay, doubled up to 5s (default: 500)');
+  console.log('    --timeout <seconds>                  Abandon a request idle this long, 0 = never (default: 30)');
+  console.log('    --project <path>                     Connect to the Unity instance that has this project open');
+  console.log('    --scan-ports <from>-<to>             Ports searched for --project without an instance file (default: 3002-3011)');
+  console.log('    --config <file>                      Tool allow/deny lists, description overrides and timeouts (JSON)');
+  console.log('    --record <file>                      Write every exchange with Unity to a JSONL file');
+  console.log('    --replay <file>                      Answer from a recorded JSONL file, no Unity needed');
   console.log('');
   console.log('  General:');
   console.log('    -h, --help                 Show this help message');
@@ -448,28 +846,7 @@ if (runMode === 'relay') {
   startRelay();
 } else if (runMode === 'bridge') {
   const bridgeArgs = process.argv.slice(2).filter(a => a !== '-m' && a !== '--mode' && a !== 'bridge');
-  let bridgeMode = null;
-  let bridgePort = null;
-
-  for (let i = 0; i < bridgeArgs.length; i++) {
-    if (bridgeArgs[i] === '--editor') {
-      bridgeMode = 'editor';
-      if (bridgeArgs[i + 1] && !bridgeArgs[i + 1].startsWith('--') && !isNaN(parseInt(bridgeArgs[i + 1]))) {
-        bridgePort = parseInt(bridgeArgs[i + 1]);
-        i++;
-      }
-    } else if (bridgeArgs[i] === '--game') {
-      bridgeMode = 'game';
-      if (bridgeArgs[i + 1] && !bridgeArgs[i + 1].startsWith('--') && !isNaN(parseInt(bridgeArgs[i + 1]))) {
-        bridgePort = parseInt(bridgeArgs[i + 1]);
-        i++;
-      }
-    } else if (!bridgeArgs[i].startsWith('-') && !isNaN(parseInt(bridgeArgs[i]))) {
-      bridgePort = parseInt(bridgeArgs[i]);
-    }
-  }
-
-  startBridge(bridgeMode, bridgePort);
+  startBridge(bridgeArgs);
 } else if (runMode !== 'node') {
   console.error(`\n  ❌ Unknown mode: ${runMode}`);
   console.error('  Valid modes: node, relay, bridge\n');
@@ -500,6 +877,15 @@ OIDC_CLIENT_SECRET = args['client-secret'] || process.env.AIRON_OIDC_CLIENT_SECR
 RELAY_URL = args.relay || DEFAULT_RELAY_URL;
 UNITY_EDITOR_PORT = parseInt(args['editor-port']) || 3002;
 UNITY_GAME_PORT = parseInt(args['game-port']) || 3003;
+MAX_CLAUDE_SESSIONS = parseInt(args['max-sessions'] || process.env.AIRON_MAX_SESSIONS) || 2;
+CLAUDE_BUDGET = {
+  timeoutMinutes: parseFloat(args['session-timeout'] || process.env.AIRON_SESSION_TIMEOUT) || 60,
+  maxTurns: parseInt(args['max-turns'] || process.env.AIRON_MAX_TURNS) || null,
+  maxCostUsd: parseFloat(args['max-cost'] || process.env.AIRON_MAX_COST) || null
+};
+dryRunEnforced = args['dry-run'] === true || process.env.AIRON_DRY_RUN === '1';
+GIT_READ_ONLY = args['git-read-only'] === true || process.env.AIRON_GIT_READ_ONLY === '1';
+ISOLATE_SESSIONS = args['isolate'] === true || process.env.AIRON_ISOLATE === '1';
 
 if (!OIDC_CLIENT_ID) {
   console.error('\n  ❌ Error: OAuth client ID required\n');
@@ -627,21 +1013,39 @@ async function checkUnityGameMCP() {
   return 'running';
 }
 
+function describeProgress(summary) {
+  if (!summary) return null;
+
+  return {
+    turns: summary.turns,
+    toolsUsed: summary.toolsUsed,
+    filesTouched: summary.filesTouched,
+    permissionDenials: summary.permissionDenials.length,
+    costUsd: summary.costUsd,
+    lastMessage: summary.lastMessage,
+    lastActivity: summary.lastActivity
+  };
+}
+
 async function getStatus() {
   let taskInfo = null;
-  if (currentTask && currentTask.status === 'running') {
+  const current = activeSessions.get(currentSessionId);
+  if (current?.status === 'running') {
     taskInfo = {
-      description: currentTask.description,
-      started: currentTask.started,
-      sessionId: currentTask.sessionId,
-      interactive: currentTask.interactive
+      description: current.task.description,
+      started: current.task.started,
+      sessionId: current.sessionId,
+      interactive: current.task.interactive,
+      progress: describeProgress(current.progress)
     };
   }
   
   const sessions = Array.from(activeSessions.values()).map(s => ({
     sessionId: s.sessionId,
+    description: s.description,
     status: s.status,
-    started: s.started
+    started: s.started,
+    progress: describeProgress(s.progress)
   }));
   
   return {
@@ -652,190 +1056,1432 @@ async function getStatus() {
     unity_editor_mcp: await checkUnityEditorMCP(),
     unity_game_mcp: await checkUnityGameMCP(),
     current_task: taskInfo,
+    session_limit: { running: countRunningSessions(), max: MAX_CLAUDE_SESSIONS },
+    session_budget: CLAUDE_BUDGET,
+    dry_run: dryRunEnforced,
+    git_read_only: GIT_READ_ONLY,
+    isolate_sessions: ISOLATE_SESSIONS,
     active_sessions: sessions.length > 0 ? sessions : null
   };
 }
 
+// ============================================================
+// Permission Profiles
+// ============================================================
+
+// Named sets of --allowedTools rules, checked into the project
+const PERMISSIONS_FILE = join('.airon', 'permissions.json');
+
+function loadPermissionProfiles() {
+  const file = join(WORKING_DIR, PERMISSIONS_FILE);
+  if (!existsSync(file)) {
+    return {};
+  }
+
+  const config = JSON.parse(readFileSync(file, 'utf-8'));
+  const profiles = config.profiles || {};
+  for (const [name, rules] of Object.entries(profiles)) {
+    if (!Array.isArray(rules) || !rules.every(isValidPermissionRule)) {
+      throw new Error(`Profile "${name}" must be a list of tool rules`);
+    }
+  }
+  return profiles;
+}
+
+// Tool name (Claude Code or mcp__server__tool, optionally with *) plus an optional (specifier)
+function isValidPermissionRule(rule) {
+  return typeof rule === 'string' && /^[\w*-]+(\(.+\))?$/.test(rule);
+}
+
+function allowedToolsArgs(session) {
+  return session.allowedTools?.length > 0 ? ['--allowedTools', ...session.allowedTools] : [];
+}
+
 // ============================================================
 // Claude Code Operations
 // ============================================================
 
-function runClaudeCodeInteractive(description) {
-  const sessionId = randomUUID();
-  currentSessionId = sessionId;
+function countRunningSessions() {
+  return Array.from(activeSessions.values()).filter(s => s.status === 'running').length;
+}
+
+// Why a new run can't start right now (for this session, or a new one if session is null)
+function checkSessionAvailable(session) {
+  if (session?.status === 'running') {
+    return `❌ Session ${session.sessionId} is still running. Wait for it to finish or use claude-abort.`;
+  }
+  if (session?.worktree && session.worktree.status !== 'active') {
+    return `❌ Session ${session.sessionId} was ${session.worktree.status} - its worktree is gone.`;
+  }
+  const maxCostUsd = session?.budget?.maxCostUsd;
+  if (maxCostUsd && session.totalCostUsd >= maxCostUsd) {
+    return `❌ Session ${session.sessionId} has used up its $${maxCostUsd} budget ($${session.totalCostUsd.toFixed(2)} spent).`;
+  }
+  const running = countRunningSessions();
+  if (running >= MAX_CLAUDE_SESSIONS) {
+    return `❌ Error: ${running} Claude Code sessions already running (limit: ${MAX_CLAUDE_SESSIONS}). Wait for one to finish or use claude-abort.`;
+  }
+  return null;
+}
+
+function startClaudeRun(session, cliArgs, task, runOptions) {
+  clearTimeout(session.cleanupTimer);
+  // Sessions from history included - they stay in memory until the cleanup after this run
+  activeSessions.set(session.sessionId, session);
+  // Queued tasks run in the background and don't take over claude-continue's default session
+  if (!session.queueTaskId) {
+    currentSessionId = session.sessionId;
+  }
   
-  currentTask = {
-    description: description,
+  session.status = 'running';
+  session.finished = null;
+  session.task = {
+    description: task.description,
     started: new Date().toISOString(),
-    status: 'running',
-    sessionId: sessionId,
-    interactive: true
+    interactive: task.interactive
   };
+  saveSession(session);
+  appendTranscript(session.sessionId, [{ type: 'prompt', description: task.description, text: cliArgs[cliArgs.indexOf('-p') + 1] }]);
   
-  console.log(`\n  🤖 Claude Code session ID: ${sessionId}\n`);
+  return spawnClaudeCode(cliArgs, session, runOptions);
+}
 
-  const cliArgs = ['-p', description];
+async function runClaudeCodeInteractive(description, onProgress = null, options = {}) {
+  const unavailable = checkSessionAvailable(null);
+  if (unavailable) {
+    console.log(`\n  ${unavailable}`);
+    return unavailable;
+  }
+  
+  const sessionId = randomUUID();
+  
+  console.log(`\n  🤖 Claude Code session ID: ${sessionId}\n`);
+  
+  // The node can require isolation, but a request can't opt out of it
+  let worktree = null;
+  if (options.isolated || ISOLATE_SESSIONS) {
+    try {
+      worktree = await createSessionWorktree(sessionId);
+    } catch (err) {
+      console.log(`  ❌ ${err.message}`);
+      return `❌ Error: ${err.message}`;
+    }
+    console.log(`  🌿 Working in ${worktree.path} (branch ${worktree.branch})\n`);
+  }
 
-  activeSessions.set(sessionId, {
-    process: null,
-    status: 'running',
-    output: [],
+  const session = {
     sessionId: sessionId,
-    started: currentTask.started,
-    description: description
-  });
+    description: description,
+    status: 'running',
+    started: new Date().toISOString(),
+    process: null,
+    budget: resolveBudget(options.budget),
+    ...(worktree ? { worktree } : {}),
+    ...(options.allowedTools?.length > 0 ? { allowedTools: options.allowedTools } : {}),
+    ...(options.queueTaskId ? { queueTaskId: options.queueTaskId } : {})
+  };
+  
+  const cliArgs = ['-p', description, ...allowedToolsArgs(session)];
   
-  const promise = spawnClaudeCode(cliArgs, sessionId, {
-    cleanupAfter: true,
-    successMessage: 'Session completed'
+  return await startClaudeRun(session, cliArgs, { description, interactive: !options.queueTaskId }, {
+    successMessage: 'Session completed',
+    onProgress
   });
+}
+
+async function continueClaudeSession(sessionId, userInput, onProgress = null) {
+  const session = getSession(sessionId);
+  if (!session) {
+    return `❌ Session ${sessionId} not found.`;
+  }
+  const unavailable = checkSessionAvailable(session);
+  if (unavailable) {
+    return unavailable;
+  }
+  if (!session.claudeSessionId) {
+    return `❌ Session ${sessionId} has no Claude Code conversation to resume.`;
+  }
   
-  activeSessions.get(sessionId).process = currentProcess;
+  console.log(`\n  ▶️  Continuing session ${sessionId}`);
+  if (userInput) {
+    console.log(`  💬 Input: ${userInput}\n`);
+  }
   
-  return promise;
-}
+  const originalDescription = session.description || 'Continue session';
 
-function continueClaudeSession(sessionId, userInput) {
-  return new Promise((resolve) => {
-    const session = activeSessions.get(sessionId);
-    if (!session) {
-      resolve(`❌ Session ${sessionId} not found.`);
-      return;
-    }
-    
-    console.log(`\n  ▶️  Continuing session ${sessionId}`);
-    if (userInput) {
-      console.log(`  💬 Input: ${userInput}\n`);
-    }
-    
-    taskCompletionResolve = resolve;
-    
-    const originalDescription = session.description || 'Continue session';
-    
-    currentTask = {
-      description: `Continue: ${originalDescription}`,
-      started: new Date().toISOString(),
-      status: 'running',
-      sessionId: sessionId,
-      interactive: true
-    };
+  // The user's input is the next turn of the same conversation
+  const cliArgs = ['-p', userInput || 'Continue', '--resume', session.claudeSessionId, ...allowedToolsArgs(session)];
+  
+  return await startClaudeRun(session, cliArgs, { description: `Continue: ${originalDescription}`, interactive: true }, {
+    successMessage: 'Session continued',
+    onProgress
+  });
+}
 
-    const cliArgs = ['-p', originalDescription];
-    
-    currentProcess = spawnClaudeCode(cliArgs, sessionId, {
-      cleanupAfter: false,
-      successMessage: 'Session continued'
-    });
-    
-    session.process = currentProcess;
-    session.status = 'running';
+async function approveClaudeSession(sessionId, rules, userInput, onProgress = null) {
+  const session = getSession(sessionId);
+  if (!session) {
+    return `❌ Session ${sessionId} not found.`;
+  }
+  const unavailable = checkSessionAvailable(session);
+  if (unavailable) {
+    return unavailable;
+  }
+  if (!session.claudeSessionId) {
+    return `❌ Session ${sessionId} has no Claude Code conversation to resume.`;
+  }
+  
+  // Approvals stick for the rest of the session, including later claude-continue runs
+  session.allowedTools = [...new Set([...(session.allowedTools || []), ...rules])];
+  
+  console.log(`\n  ✅ Approving for session ${sessionId}:`);
+  rules.forEach(rule => console.log(`     ${rule}`));
+  console.log('');
+  
+  const originalDescription = session.description || 'Continue session';
+  const prompt = userInput || `Permission granted for: ${rules.join(', ')}. Continue with the task.`;
+  const cliArgs = ['-p', prompt, '--resume', session.claudeSessionId, ...allowedToolsArgs(session)];
+  
+  return await startClaudeRun(session, cliArgs, { description: `Approve: ${originalDescription}`, interactive: true }, {
+    successMessage: 'Approved session continued',
+    onProgress
   });
 }
 
-function forceClaudeSession(sessionId) {
-  return new Promise((resolve) => {
-    const session = activeSessions.get(sessionId);
-    if (!session) {
-      resolve(`❌ Session ${sessionId} not found.`);
-      return;
-    }
-    
-    console.log(`\n  ⚡ Forcing execution of session ${sessionId}`);
-    console.log(`  ⚠️  Running with --dangerously-skip-permissions\n`);
-    
-    taskCompletionResolve = resolve;
-    
-    const originalDescription = session.description || 'Continue session';
-    
-    currentTask = {
-      description: `Force execute: ${originalDescription}`,
-      started: new Date().toISOString(),
-      status: 'running',
-      sessionId: sessionId,
-      interactive: false
-    };
+async function forceClaudeSession(sessionId, onProgress = null) {
+  const session = getSession(sessionId);
+  if (!session) {
+    return `❌ Session ${sessionId} not found.`;
+  }
+  const unavailable = checkSessionAvailable(session);
+  if (unavailable) {
+    return unavailable;
+  }
+  
+  console.log(`\n  ⚡ Forcing execution of session ${sessionId}`);
+  console.log(`  ⚠️  Running with --dangerously-skip-permissions\n`);
+  
+  const originalDescription = session.description || 'Continue session';
 
-    const cliArgs = ['-p', originalDescription, '--dangerously-skip-permissions'];
-    
-    currentProcess = spawnClaudeCode(cliArgs, sessionId, {
-      cleanupAfter: false,
-      successMessage: 'Forced execution completed'
-    });
-    
-    session.process = currentProcess;
-    session.status = 'running';
+  const cliArgs = ['-p', originalDescription, '--dangerously-skip-permissions'];
+  
+  return await startClaudeRun(session, cliArgs, { description: `Force execute: ${originalDescription}`, interactive: false }, {
+    successMessage: 'Forced execution completed',
+    onProgress
   });
 }
 
 // ============================================================
-// Tool Handlers
+// Task Queue
 // ============================================================
 
-async function handleStatus() {
-  const status = await getStatus();
-  return JSON.stringify(status, null, 2);
+// Unattended batches: tasks run one after another, each in its own session
+const QUEUE_FAILURE_POLICIES = ['stop', 'continue'];
+const QUEUE_POLL_INTERVAL = 5000;
+
+let taskQueue = null;
+let queueRunning = false;
+let queueResumed = false;
+
+function getQueueFile() {
+  return join(getSessionsDir(), 'queue.json');
 }
 
-async function handleClaudeCode(toolArgs) {
-  if (!toolArgs?.description) {
-    return '❌ Error: No task description provided';
+function loadQueue() {
+  if (taskQueue) return taskQueue;
+
+  taskQueue = { tasks: [] };
+  try {
+    const file = getQueueFile();
+    if (existsSync(file)) {
+      taskQueue = JSON.parse(readFileSync(file, 'utf-8'));
+    }
+  } catch (err) {
+    console.error(`  ⚠️ Failed to load task queue: ${err.message}`);
   }
-  if (currentTask?.status === 'running') {
-    return '❌ Error: A Claude Code task is already running.';
+  return taskQueue;
+}
+
+function saveQueue() {
+  try {
+    ensureSessionsDir();
+    writeFileSync(getQueueFile(), JSON.stringify(taskQueue, null, 2));
+  } catch (err) {
+    console.error(`  ⚠️ Failed to save task queue: ${err.message}`);
+  }
+}
+
+function findQueueTask(taskId) {
+  return loadQueue().tasks.find(task => task.taskId === taskId);
+}
+
+function resolveTaskRules(task) {
+  const rules = [...(task.allow || [])];
+  if (task.profile) {
+    const profiles = loadPermissionProfiles();
+    if (!profiles[task.profile]) {
+      throw new Error(`Unknown permission profile: ${task.profile}`);
+    }
+    rules.push(...profiles[task.profile]);
+  }
+  return rules;
+}
+
+function finishQueueTask(task, status, result) {
+  task.status = status;
+  task.finished = new Date().toISOString();
+  task.result = result;
+
+  console.log(`\n  📋 Queue task ${task.taskId} ${status}: ${task.description}\n`);
+
+  if (status !== 'completed' && status !== 'cancelled' && task.onFailure === 'stop') {
+    for (const other of taskQueue.tasks.filter(t => t.status === 'queued')) {
+      other.status = 'skipped';
+      other.finished = task.finished;
+      other.result = { error: `Skipped: queue stopped after task ${task.taskId} ${status}` };
+    }
+  }
+  saveQueue();
+}
+
+async function runQueueTask(task) {
+  let rules;
+  try {
+    rules = resolveTaskRules(task);
+  } catch (err) {
+    finishQueueTask(task, 'failed', { error: err.message });
+    return;
+  }
+
+  task.status = 'running';
+  task.started = new Date().toISOString();
+  saveQueue();
+
+  console.log(`\n  📋 Running queue task ${task.taskId}: ${task.description}`);
+
+  const output = await runClaudeCodeInteractive(task.description, null, {
+    allowedTools: rules,
+    budget: task.budget,
+    isolated: task.isolated,
+    queueTaskId: task.taskId
+  });
+
+  let result;
+  try {
+    result = JSON.parse(output);
+  } catch {
+    result = { error: output };
+  }
+  task.sessionId = result.sessionId || null;
+
+  if (task.cancelled) {
+    finishQueueTask(task, 'cancelled', result);
+  } else {
+    finishQueueTask(task, result.status === 'completed' ? 'completed' : (result.status || 'failed'), result);
+  }
+}
+
+async function processQueue() {
+  if (queueRunning) return;
+  queueRunning = true;
+
+  try {
+    let task;
+    while ((task = loadQueue().tasks.find(t => t.status === 'queued'))) {
+      // Wait for a free slot rather than failing - other sessions may be running
+      if (countRunningSessions() >= MAX_CLAUDE_SESSIONS) {
+        await new Promise(r => setTimeout(r, QUEUE_POLL_INTERVAL));
+        continue;
+      }
+      await runQueueTask(task);
+    }
+  } finally {
+    queueRunning = false;
+  }
+}
+
+// Tasks the previous node run was in the middle of can't be picked up again
+function resumeQueue() {
+  // Only once - on a reconnect the running task belongs to this node run
+  if (queueResumed) return;
+  queueResumed = true;
+  
+  const queue = loadQueue();
+  for (const task of queue.tasks.filter(t => t.status === 'running')) {
+    finishQueueTask(task, 'interrupted', { error: 'Node stopped while the task was running' });
+  }
+  if (queue.tasks.some(t => t.status === 'queued')) {
+    console.log(`  📋 Resuming task queue (${queue.tasks.filter(t => t.status === 'queued').length} queued)`);
+    processQueue();
+  }
+}
+
+function describeQueueTask(task) {
+  return {
+    taskId: task.taskId,
+    description: task.description,
+    status: task.status,
+    profile: task.profile,
+    allow: task.allow,
+    onFailure: task.onFailure,
+    sessionId: task.sessionId,
+    added: task.added,
+    started: task.started,
+    finished: task.finished,
+    result: task.result?.result ?? task.result?.error ?? null
+  };
+}
+
+// ============================================================
+// Atomic Edits
+// ============================================================
+
+// A change is { path, absolutePath, before, after } - null content means the file doesn't exist
+function stageFileChange(staged, path, after) {
+  const absolutePath = validatePath(path);
+  const existing = staged.get(absolutePath);
+  if (existing) {
+    existing.after = after;
+    return existing;
+  }
+
+  // Raw bytes, so a rollback or undo restores binary files intact
+  const before = existsSync(absolutePath) ? readFileSync(absolutePath) : null;
+  const change = { path, absolutePath, before, after };
+  staged.set(absolutePath, change);
+  return change;
+}
+
+function readStagedFile(staged, path) {
+  const absolutePath = validatePath(path);
+  if (staged.has(absolutePath)) {
+    return staged.get(absolutePath).after;
+  }
+  return existsSync(absolutePath) ? readFileSync(absolutePath, 'utf-8') : null;
+}
+
+// Writes every change or none: everything goes to temp files first, then gets swapped in,
+// and the originals are put back if a swap fails part-way
+function applyFileChanges(changes) {
+  const tempFiles = new Map();
+  const cleanup = () => tempFiles.forEach(tempPath => rmSync(tempPath, { force: true }));
+
+  try {
+    for (const change of changes.filter(c => c.after !== null)) {
+      const dir = dirname(change.absolutePath);
+      if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+      const tempPath = `${change.absolutePath}.airon-${randomUUID().substring(0, 8)}.tmp`;
+      tempFiles.set(change, tempPath);
+      writeFileSync(tempPath, change.after);
+    }
+  } catch (err) {
+    cleanup();
+    throw new Error(`${err.message} - no files were changed`);
+  }
+
+  const applied = [];
+  try {
+    for (const change of changes) {
+      if (change.after === null) {
+        if (change.before !== null) unlinkSync(change.absolutePath);
+      } else {
+        renameSync(tempFiles.get(change), change.absolutePath);
+      }
+      applied.push(change);
+    }
+  } catch (err) {
+    for (const change of applied.reverse()) {
+      try {
+        if (change.before === null) {
+          unlinkSync(change.absolutePath);
+        } else {
+          writeFileSync(change.absolutePath, change.before);
+        }
+      } catch {}
+    }
+    cleanup();
+    throw new Error(`${err.message} - no files were changed`);
+  }
+}
+
+function describeFileChange(change) {
+  if (change.before === null) return `A ${change.path}`;
+  if (change.after === null) return `D ${change.path}`;
+  return `M ${change.path}`;
+}
+
+function parsePatchPath(header) {
+  const path = header.split('\t')[0].trim();
+  return path === '/dev/null' ? null : path;
+}
+
+// Hunk bodies are read by their line counts, so removed lines that start with "--" aren't taken for headers
+function parsePatch(patch) {
+  const lines = patch.replace(/\r\n/g, '\n').split('\n');
+  const files = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith('--- ') || !lines[i + 1]?.startsWith('+++ ')) continue;
+
+    let oldPath = parsePatchPath(lines[i].substring(4));
+    let newPath = parsePatchPath(lines[i + 1].substring(4));
+    // git diff prefixes
+    if ((!oldPath || oldPath.startsWith('a/')) && (!newPath || newPath.startsWith('b/'))) {
+      oldPath = oldPath?.substring(2) ?? null;
+      newPath = newPath?.substring(2) ?? null;
+    }
+    const file = { oldPath, newPath, hunks: [] };
+    files.push(file);
+    i += 2;
+
+    let header;
+    while (i < lines.length && (header = lines[i].match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/))) {
+      const hunk = {
+        oldStart: parseInt(header[1]),
+        oldCount: header[2] === undefined ? 1 : parseInt(header[2]),
+        newCount: header[4] === undefined ? 1 : parseInt(header[4]),
+        lines: []
+      };
+      file.hunks.push(hunk);
+      i++;
+
+      let oldSeen = 0;
+      let newSeen = 0;
+      while (i < lines.length && (oldSeen < hunk.oldCount || newSeen < hunk.newCount || lines[i].startsWith('\\'))) {
+        const line = lines[i++];
+        if (line.startsWith('\\')) {
+          if (hunk.lines.length > 0) hunk.lines[hunk.lines.length - 1].noNewline = true;
+          continue;
+        }
+        // Some editors strip the trailing space of blank context lines
+        const op = line === '' ? ' ' : line[0];
+        if (op !== ' ' && op !== '-' && op !== '+') {
+          throw new Error(`${oldPath || newPath}: unexpected line in hunk: ${line}`);
+        }
+        hunk.lines.push({ op, text: line.substring(1) });
+        if (op !== '+') oldSeen++;
+        if (op !== '-') newSeen++;
+      }
+      if (oldSeen !== hunk.oldCount || newSeen !== hunk.newCount) {
+        throw new Error(`${oldPath || newPath}: hunk @@ -${hunk.oldStart} is truncated`);
+      }
+    }
+    i--;
+  }
+
+  if (files.length === 0) {
+    throw new Error('No file changes found in patch (expected ---/+++ headers)');
+  }
+  return files;
+}
+
+function applyHunks(content, hunks, path) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(eol);
+  let finalNewline = lines[lines.length - 1] === '';
+  if (finalNewline) lines.pop();
+
+  let lineDelta = 0;
+  let searchFrom = 0;
+
+  hunks.forEach((hunk, index) => {
+    const oldLines = hunk.lines.filter(l => l.op !== '+').map(l => l.text);
+    const newLines = hunk.lines.filter(l => l.op !== '-').map(l => l.text);
+
+    // A hunk without old lines inserts after oldStart; otherwise oldStart is its first line
+    const expected = Math.min(Math.max(hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1, 0) + lineDelta, lines.length);
+    const matchesAt = (position) => position >= searchFrom && position + oldLines.length <= lines.length &&
+      oldLines.every((text, k) => lines[position + k] === text);
+
+    // Closest match to where the hunk says it should be, in case the file moved a little
+    let position = -1;
+    for (let distance = 0; distance <= lines.length; distance++) {
+      if (matchesAt(expected - distance)) { position = expected - distance; break; }
+      if (matchesAt(expected + distance)) { position = expected + distance; break; }
+    }
+    if (position === -1) {
+      throw new Error(`${path}: hunk ${index + 1} (@@ -${hunk.oldStart},${hunk.oldCount}) does not match the file`);
+    }
+
+    lines.splice(position, oldLines.length, ...newLines);
+    lineDelta += position - expected + newLines.length - oldLines.length;
+    searchFrom = position + newLines.length;
+
+    for (const line of hunk.lines.filter(l => l.noNewline)) {
+      finalNewline = line.op === '-';
+    }
+  });
+
+  return lines.length > 0 ? lines.join(eol) + (finalNewline ? eol : '') : '';
+}
+
+// ============================================================
+// Undo Journal
+// ============================================================
+
+let journalLastId = null;
+const skippedJournalLines = new Set();
+
+// Every file mutation made through the node's tools is an entry in entries.jsonl;
+// file contents are stored once per content hash in blobs/
+function getJournalDir() {
+  return join(JOURNAL_ROOT, getProjectKey());
+}
+
+function hashContent(content) {
+  return createHash('sha1').update(content).digest('hex');
+}
+
+function storeBlob(content) {
+  if (content === null) return null;
+
+  const hash = hashContent(content);
+  const file = join(getJournalDir(), 'blobs', hash);
+  if (!existsSync(file)) {
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, content);
+  }
+  return hash;
+}
+
+function readBlob(hash) {
+  return hash === null ? null : readFileSync(join(getJournalDir(), 'blobs', hash));
+}
+
+function readJournal() {
+  const file = join(getJournalDir(), 'entries.jsonl');
+  if (!existsSync(file)) return [];
+
+  const entries = [];
+  readFileSync(file, 'utf-8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // e.g. the node was killed mid-write - the rest of the journal still counts
+      if (!skippedJournalLines.has(index)) {
+        skippedJournalLines.add(index);
+        console.error(`  ⚠️ Skipping unreadable journal line ${index + 1} in ${file}`);
+      }
+    }
+  });
+  return entries;
+}
+
+function appendJournal(entry) {
+  const dir = getJournalDir();
+  const file = join(dir, 'entries.jsonl');
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+  // Ids continue from the last entry; a torn last line gets finished so it doesn't swallow this one
+  let prefix = '';
+  if (journalLastId === null) {
+    journalLastId = readJournal().reduce((last, e) => Math.max(last, e.id || 0), 0);
+    const existing = existsSync(file) ? readFileSync(file, 'utf-8') : '';
+    prefix = existing && !existing.endsWith('\n') ? '\n' : '';
+  }
+
+  const journaled = { id: journalLastId + 1, time: new Date().toISOString(), ...entry };
+  appendFileSync(file, prefix + JSON.stringify(journaled) + '\n');
+  journalLastId = journaled.id;
+  return journaled;
+}
+
+// Journal records: { type: 'file', path, before, after } with content hashes (null = no file),
+// { type: 'move', from, to } and { type: 'mkdir' | 'rmdir', path }
+function journalMutation(tool, records, undoes = null) {
+  try {
+    appendJournal({ tool, changes: records, ...(undoes ? { undoes } : {}) });
+  } catch (err) {
+    console.error(`  ⚠️ Failed to journal ${tool}: ${err.message}`);
+  }
+}
+
+function toFileRecord(change) {
+  return {
+    type: 'file',
+    path: toRelativePath(change.absolutePath),
+    before: storeBlob(change.before),
+    after: storeBlob(change.after === null ? null : Buffer.from(change.after))
+  };
+}
+
+// The all-or-nothing write, plus a journal entry so it can be undone
+function commitFileChanges(tool, changes) {
+  applyFileChanges(changes);
+
+  let records;
+  try {
+    records = changes.map(toFileRecord);
+  } catch (err) {
+    console.error(`  ⚠️ Failed to journal ${tool}: ${err.message}`);
+    return;
+  }
+  journalMutation(tool, records);
+}
+
+function describeJournalChange(change) {
+  if (change.type === 'move') return `R ${change.from} → ${change.to}`;
+  if (change.type === 'mkdir') return `A ${change.path}/`;
+  if (change.type === 'rmdir') return `D ${change.path}/`;
+  if (change.before === null) return `A ${change.path}`;
+  if (change.after === null) return `D ${change.path}`;
+  return `M ${change.path}`;
+}
+
+// Entry ids that an undo or restore has already rolled back
+function getUndoneIds(entries) {
+  return new Set(entries.flatMap(entry => entry.undoes || []));
+}
+
+function isUndoable(entry, undone) {
+  return entry.changes && !entry.undoes && !undone.has(entry.id);
+}
+
+function getPathState(absolutePath) {
+  if (!existsSync(absolutePath)) return null;
+  return statSync(absolutePath).isDirectory() ? 'dir' : hashContent(readFileSync(absolutePath));
+}
+
+// The changes that roll entries back, newest first. Every step is checked against a simulated file state
+// before anything is touched, so a file changed since (e.g. by Claude Code) stops the whole undo unless forced.
+function planRevert(entries, force) {
+  const state = new Map();
+  const current = (path) => {
+    if (!state.has(path)) state.set(path, getPathState(validatePath(path)));
+    return state.get(path);
+  };
+
+  const conflicts = [];
+  const steps = [];
+  for (const entry of entries) {
+    for (const change of [...entry.changes].reverse()) {
+      if (change.type === 'file') {
+        if (current(change.path) !== change.after) {
+          conflicts.push(`${change.path} changed since entry ${entry.id}`);
+        }
+        state.set(change.path, change.before);
+      } else if (change.type === 'move') {
+        if (current(change.to) === null || current(change.from) !== null) {
+          conflicts.push(`${change.to} can't be moved back to ${change.from} (entry ${entry.id})`);
+        }
+        state.set(change.from, current(change.to));
+        state.set(change.to, null);
+      } else if (change.type === 'mkdir') {
+        if (current(change.path) !== 'dir') {
+          conflicts.push(`${change.path}/ no longer exists (entry ${entry.id})`);
+        }
+        state.set(change.path, null);
+      } else if (change.type === 'rmdir') {
+        if (current(change.path) !== null) {
+          conflicts.push(`${change.path} exists again (entry ${entry.id})`);
+        }
+        state.set(change.path, 'dir');
+      }
+      steps.push(change);
+    }
+  }
+
+  if (conflicts.length > 0 && !force) {
+    throw new Error(`Not undone - files changed since:\n${conflicts.map(c => `  - ${c}`).join('\n')}\nUse force to overwrite them.`);
+  }
+  return steps;
+}
+
+// The journal record for rolling back a move or directory change
+function invertJournalChange(change) {
+  if (change.type === 'move') return { type: 'move', from: change.to, to: change.from };
+  return { type: change.type === 'mkdir' ? 'rmdir' : 'mkdir', path: change.path };
+}
+
+function revertEntries(entries, force) {
+  const steps = planRevert(entries, force);
+  const records = [];
+  try {
+    for (const change of steps) {
+      if (change.type === 'file') {
+        const absolutePath = validatePath(change.path);
+        const before = existsSync(absolutePath) ? readFileSync(absolutePath) : null;
+        applyFileChanges([{ path: change.path, absolutePath, before, after: readBlob(change.before) }]);
+        records.push({ type: 'file', path: change.path, before: before === null ? null : storeBlob(before), after: change.before });
+      } else if (change.type === 'move') {
+        const destination = validatePath(change.from);
+        if (!existsSync(dirname(destination))) mkdirSync(dirname(destination), { recursive: true });
+        if (force && existsSync(destination)) rmSync(destination, { recursive: true, force: true });
+        renameSync(validatePath(change.to), destination);
+        records.push(invertJournalChange(change));
+      } else if (change.type === 'mkdir') {
+        rmdirSync(validatePath(change.path));
+        records.push(invertJournalChange(change));
+      } else if (change.type === 'rmdir') {
+        mkdirSync(validatePath(change.path), { recursive: true });
+        records.push(invertJournalChange(change));
+      }
+    }
+  } catch (err) {
+    // Whatever was rolled back before the failure still has to be journaled
+    err.records = records;
+    throw err;
+  }
+  return records;
+}
+
+// What revertEntries would do, step by step against the simulated content, without touching anything
+function previewRevert(entries, force) {
+  const steps = planRevert(entries, force);
+  const contents = new Map();
+  const content = (path) => {
+    if (!contents.has(path)) {
+      const absolutePath = validatePath(path);
+      contents.set(path, existsSync(absolutePath) && !statSync(absolutePath).isDirectory() ? readFileSync(absolutePath) : null);
+    }
+    return contents.get(path);
+  };
+
+  const operations = [];
+  const diffs = [];
+  for (const change of steps) {
+    if (change.type === 'file') {
+      const fileChange = { path: change.path, absolutePath: validatePath(change.path), before: content(change.path), after: readBlob(change.before) };
+      operations.push(describeFileChange(fileChange));
+      diffs.push(formatFileDiff(fileChange));
+      contents.set(change.path, fileChange.after);
+    } else {
+      operations.push(describeJournalChange(invertJournalChange(change)));
+      if (change.type === 'move') {
+        contents.set(change.from, content(change.to));
+        contents.set(change.to, null);
+      }
+    }
+  }
+  return { operations, diffs };
+}
+
+// ============================================================
+// Dry Run
+// ============================================================
+
+// Lines of context around each change, as in git diff
+const DIFF_CONTEXT_LINES = 3;
+
+// Past this many compared line pairs, the changed middle of a file is shown as one replacement
+const DIFF_MAX_CELLS = 4000000;
+
+const NO_NEWLINE_MARKER = '\n\\ No newline at end of file';
+
+// Set with --dry-run: every remote file change is only previewed until confirm-writes is typed on the node
+function isDryRun(toolArgs) {
+  return toolArgs?.dryRun === true || dryRunEnforced;
+}
+
+// The marker rides on the last line, so a newline-only change still shows up as a changed line
+function toDiffLines(content) {
+  if (content === null || content === '') return [];
+
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(eol);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_NEWLINE_MARKER;
+  }
+  return lines;
+}
+
+// Longest common subsequence of the lines between the unchanged head and tail
+function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const ops = before.slice(0, start).map(text => ({ op: ' ', text }));
+
+  if (a.length * b.length <= DIFF_MAX_CELLS) {
+    const width = b.length + 1;
+    const common = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        common[i * width + j] = a[i] === b[j]
+          ? common[(i + 1) * width + j + 1] + 1
+          : Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        ops.push({ op: ' ', text: a[i++] });
+        j++;
+      } else if (common[(i + 1) * width + j] >= common[i * width + j + 1]) {
+        ops.push({ op: '-', text: a[i++] });
+      } else {
+        ops.push({ op: '+', text: b[j++] });
+      }
+    }
+    a.slice(i).forEach(text => ops.push({ op: '-', text }));
+    b.slice(j).forEach(text => ops.push({ op: '+', text }));
+  } else {
+    a.forEach(text => ops.push({ op: '-', text }));
+    b.forEach(text => ops.push({ op: '+', text }));
+  }
+
+  before.slice(endBefore).forEach(text => ops.push({ op: ' ', text }));
+  return ops;
+}
+
+function formatHunks(ops) {
+  const changed = ops.map((line, index) => line.op === ' ' ? -1 : index).filter(index => index !== -1);
+
+  // Changes closer together than twice the context share a hunk
+  const ranges = [];
+  for (const index of changed) {
+    const last = ranges[ranges.length - 1];
+    if (last && index - DIFF_CONTEXT_LINES <= last.end) {
+      last.end = Math.min(index + 1 + DIFF_CONTEXT_LINES, ops.length);
+    } else {
+      ranges.push({ start: Math.max(index - DIFF_CONTEXT_LINES, 0), end: Math.min(index + 1 + DIFF_CONTEXT_LINES, ops.length) });
+    }
+  }
+
+  return ranges.map(({ start, end }) => {
+    const before = ops.slice(0, start);
+    const lines = ops.slice(start, end);
+    const oldStart = before.filter(line => line.op !== '+').length + 1;
+    const newStart = before.filter(line => line.op !== '-').length + 1;
+    const oldCount = lines.filter(line => line.op !== '+').length;
+    const newCount = lines.filter(line => line.op !== '-').length;
+    // An empty side points at the line before, as git does
+    const header = `@@ -${oldCount === 0 ? oldStart - 1 : oldStart},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@`;
+    return [header, ...lines.map(line => line.op + line.text)].join('\n');
+  }).join('\n');
+}
+
+// git-style, so a preview can be sent back as-is to apply_patch
+function formatFileDiff(change) {
+  const path = toRelativePath(change.absolutePath);
+  const before = change.before === null ? null : change.before.toString();
+  const after = change.after === null ? null : change.after.toString();
+
+  if (change.before?.includes(0) || (Buffer.isBuffer(change.after) && change.after.includes(0))) {
+    return `Binary file ${path} would be ${change.before === null ? 'created' : change.after === null ? 'deleted' : 'changed'}`;
+  }
+  if (before === after) {
+    return `${path}: no changes`;
+  }
+
+  const ops = diffLines(toDiffLines(before), toDiffLines(after));
+  const header = `--- ${before === null ? '/dev/null' : `a/${path}`}\n+++ ${after === null ? '/dev/null' : `b/${path}`}`;
+  return ops.length > 0 ? `${header}\n${formatHunks(ops)}` : `${header}\n(empty file)`;
+}
+
+function formatDryRun(summary, details = []) {
+  const note = dryRunEnforced
+    ? '\n\nDry run is enforced on this node - the node operator has to type confirm-writes before files can be changed.'
+    : '';
+  return `✓ Dry run - nothing was changed. ${summary}${details.length > 0 ? `\n\n${details.join('\n')}` : ''}${note}`;
+}
+
+function previewFileChanges(changes) {
+  return formatDryRun(
+    `Would change ${changes.length} file(s):\n${changes.map(c => `  ${describeFileChange(c)}`).join('\n')}`,
+    changes.map(formatFileDiff)
+  );
+}
+
+// ============================================================
+// Git
+// ============================================================
+
+const GIT_TIMEOUT = 30000;
+const GIT_OUTPUT_LIMIT = 100000;
+const GIT_STASH_ACTIONS = ['list', 'show', 'push', 'pop', 'apply', 'drop'];
+
+function runGit(gitArgs, cwd = WORKING_DIR) {
+  return new Promise((resolve) => {
+    const child = spawn('git', gitArgs, {
+      cwd,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_PAGER: 'cat' }
+    });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill(), GIT_TIMEOUT);
+    
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      resolve({ code: -1, stdout, stderr: err.code === 'ENOENT' ? 'git is not installed on this node' : err.message });
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code: code ?? -1, stdout, stderr: code === null ? `git timed out after ${GIT_TIMEOUT / 1000}s` : stderr });
+    });
+  });
+}
+
+// Outside a repository git diff quietly compares files instead (--no-index), so diff users check first
+async function checkGitRepository() {
+  const result = await runGit(['rev-parse', '--is-inside-work-tree']);
+  return result.code === 0 ? null : formatGitError(result);
+}
+
+function formatGitError(result) {
+  return `❌ Error: ${(result.stderr || result.stdout).trim() || `git exited with code ${result.code}`}`;
+}
+
+function formatGitOutput(output, empty) {
+  const text = output.trimEnd();
+  if (!text) return empty;
+  return text.length > GIT_OUTPUT_LIMIT
+    ? `${text.substring(0, GIT_OUTPUT_LIMIT)}\n... (output truncated - narrow it down with paths)`
+    : text;
+}
+
+// Pathspecs for git, checked like any other path; no paths means the whole working directory.
+// Literal, so pathspec magic like ":(top)" can't reach the rest of the repository.
+function toGitPaths(paths) {
+  const list = typeof paths === 'string' ? [paths] : (paths || []);
+  if (!Array.isArray(list)) {
+    throw new Error('paths must be a list of paths');
+  }
+  return list.length > 0 ? list.map(path => `:(literal)${toRelativePath(validatePath(path)) || '.'}`) : ['.'];
+}
+
+// git checks names and revisions itself; anything it could take for an option is refused here
+function isValidGitRef(name) {
+  return typeof name === 'string' && name.trim().length > 0 && !name.startsWith('-');
+}
+
+// Write access is off with --git-read-only, and while dry run is enforced
+function checkGitWritable() {
+  if (GIT_READ_ONLY) {
+    return '❌ Error: Git is read-only on this node (--git-read-only)';
+  }
+  if (dryRunEnforced) {
+    return '❌ Error: Dry run is enforced on this node - the node operator has to type confirm-writes before git can change anything';
+  }
+  return null;
+}
+
+// ============================================================
+// Session Worktrees
+// ============================================================
+
+// An isolated session works in its own git worktree on branch airon/<sessionId>, outside the project,
+// so nothing it does reaches the working copy Unity has open until claude-merge
+function getWorktreesDir() {
+  return join(WORKTREES_ROOT, getProjectKey());
+}
+
+// Branches from the last commit - uncommitted changes in the working copy are not part of the worktree
+async function createSessionWorktree(sessionId) {
+  const top = await runGit(['rev-parse', '--show-toplevel']);
+  if (top.code !== 0) {
+    throw new Error(`Isolated sessions need a git repository: ${(top.stderr || top.stdout).trim()}`);
+  }
+  const head = await runGit(['rev-parse', 'HEAD']);
+  if (head.code !== 0) {
+    throw new Error('Isolated sessions need at least one commit to branch from');
+  }
+  
+  const path = join(getWorktreesDir(), sessionId);
+  const branch = `airon/${sessionId}`;
+  const base = head.stdout.trim();
+  const added = await runGit(['worktree', 'add', '-b', branch, path, base]);
+  if (added.code !== 0) {
+    throw new Error(`Failed to create worktree: ${(added.stderr || added.stdout).trim()}`);
+  }
+  
+  // Claude Code starts in the same folder of the repository as it would in the project
+  const subdir = relative(top.stdout.trim(), realpathSync(WORKING_DIR));
+  return { path, branch, base, cwd: join(path, subdir), status: 'active' };
+}
+
+function checkWorktreeSession(session, sessionId) {
+  if (!session) {
+    return sessionId ? `❌ Session ${sessionId} not found.` : '❌ No current session - pass a sessionId';
+  }
+  if (!session.worktree) {
+    return `❌ Session ${sessionId} is not isolated - its changes are already in the working copy`;
+  }
+  if (session.worktree.status !== 'active') {
+    return `❌ Session ${sessionId} was already ${session.worktree.status}`;
+  }
+  return null;
+}
+
+// Stages everything the session changed in its worktree, so new files show up in diffs and commits
+async function stageWorktree(session) {
+  const result = await runGit(['add', '--all'], session.worktree.path);
+  return result.code === 0 ? null : formatGitError(result);
+}
+
+async function removeSessionWorktree(session, status) {
+  await runGit(['worktree', 'remove', '--force', session.worktree.path]);
+  await runGit(['worktree', 'prune']);
+  if (existsSync(session.worktree.path)) {
+    throw new Error(`Failed to remove worktree ${session.worktree.path}`);
+  }
+  await runGit(['branch', '-D', session.worktree.branch]);
+  
+  session.worktree.status = status;
+  saveSession(session);
+}
+
+// ============================================================
+// Tool Handlers
+// ============================================================
+
+async function handleStatus() {
+  const status = await getStatus();
+  return JSON.stringify(status, null, 2);
+}
+
+async function handleClaudeCode(toolArgs, context = {}) {
+  if (!toolArgs?.description) {
+    return '❌ Error: No task description provided';
+  }
+  
+  return await runClaudeCodeInteractive(toolArgs.description, context.onProgress, {
+    budget: { timeoutMinutes: toolArgs.timeoutMinutes, maxTurns: toolArgs.maxTurns, maxCostUsd: toolArgs.maxCostUsd },
+    isolated: toolArgs.isolated === true
+  });
+}
+
+async function handleClaudeContinue(toolArgs, context = {}) {
+  if (toolArgs?.sessionId) {
+    return await continueClaudeSession(toolArgs.sessionId, toolArgs?.input || '', context.onProgress);
+  }
+  
+  if (currentSessionId && getSession(currentSessionId)) {
+    return await continueClaudeSession(currentSessionId, toolArgs?.input || '', context.onProgress);
+  }
+  
+  return '❌ No active session to continue.';
+}
+
+async function handleClaudeForce(toolArgs, context = {}) {
+  if (toolArgs?.sessionId) {
+    return await forceClaudeSession(toolArgs.sessionId, context.onProgress);
+  }
+  
+  if (currentSessionId && getSession(currentSessionId)) {
+    return await forceClaudeSession(currentSessionId, context.onProgress);
+  }
+  
+  return '❌ No active session to force execute.';
+}
+
+async function handleClaudeApprove(toolArgs, context = {}) {
+  const sessionId = toolArgs?.sessionId || currentSessionId;
+  if (!sessionId) {
+    return '❌ No active session to approve.';
+  }
+  
+  let profiles;
+  try {
+    profiles = loadPermissionProfiles();
+  } catch (err) {
+    return `❌ Error: Invalid ${PERMISSIONS_FILE}: ${err.message}`;
+  }
+  const available = Object.keys(profiles).join(', ') || 'none';
+  
+  const rules = [...(toolArgs?.allow || [])];
+  if (toolArgs?.profile) {
+    if (!profiles[toolArgs.profile]) {
+      return `❌ Error: Unknown permission profile: ${toolArgs.profile} (available: ${available})`;
+    }
+    rules.push(...profiles[toolArgs.profile]);
+  }
+  
+  if (rules.length === 0) {
+    return `❌ Error: Nothing to approve - pass allow rules or a profile (available: ${available})`;
+  }
+  const invalid = rules.filter(rule => !isValidPermissionRule(rule));
+  if (invalid.length > 0) {
+    return `❌ Error: Invalid tool rule: ${invalid.join(', ')}`;
+  }
+  
+  return await approveClaudeSession(sessionId, rules, toolArgs?.input || '', context.onProgress);
+}
+
+async function handleClaudeQueueAdd(toolArgs) {
+  const tasks = toolArgs?.tasks;
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    return '❌ Error: tasks must be a non-empty list';
+  }
+  
+  let profiles;
+  try {
+    profiles = loadPermissionProfiles();
+  } catch (err) {
+    return `❌ Error: Invalid ${PERMISSIONS_FILE}: ${err.message}`;
+  }
+  
+  for (const task of tasks) {
+    if (!task?.description) {
+      return '❌ Error: Every task needs a description';
+    }
+    if (task.profile && !profiles[task.profile]) {
+      return `❌ Error: Unknown permission profile: ${task.profile} (available: ${Object.keys(profiles).join(', ') || 'none'})`;
+    }
+    const invalid = (task.allow || []).filter(rule => !isValidPermissionRule(rule));
+    if (invalid.length > 0) {
+      return `❌ Error: Invalid tool rule: ${invalid.join(', ')}`;
+    }
+    if (task.onFailure && !QUEUE_FAILURE_POLICIES.includes(task.onFailure)) {
+      return `❌ Error: onFailure must be one of: ${QUEUE_FAILURE_POLICIES.join(', ')}`;
+    }
+  }
+  
+  const queue = loadQueue();
+  const added = tasks.map(task => ({
+    taskId: randomUUID().substring(0, 8),
+    description: task.description,
+    profile: task.profile || null,
+    allow: task.allow || [],
+    onFailure: task.onFailure || 'stop',
+    budget: { timeoutMinutes: task.timeoutMinutes, maxTurns: task.maxTurns, maxCostUsd: task.maxCostUsd },
+    isolated: task.isolated === true,
+    status: 'queued',
+    added: new Date().toISOString()
+  }));
+  queue.tasks.push(...added);
+  saveQueue();
+  
+  processQueue();
+  
+  return `✓ Queued ${added.length} task(s): ${added.map(task => task.taskId).join(', ')}`;
+}
+
+async function handleClaudeQueueList(toolArgs) {
+  if (toolArgs?.taskId) {
+    const task = findQueueTask(toolArgs.taskId);
+    if (!task) {
+      return `❌ Queue task ${toolArgs.taskId} not found`;
+    }
+    return JSON.stringify(task, null, 2);
+  }
+  
+  const tasks = loadQueue().tasks.filter(task => !toolArgs?.status || task.status === toolArgs.status);
+  if (tasks.length === 0) {
+    return 'Task queue is empty';
   }
   
-  return await runClaudeCodeInteractive(toolArgs.description);
+  return JSON.stringify(tasks.map(describeQueueTask), null, 2);
 }
 
-async function handleClaudeContinue(toolArgs) {
-  if (toolArgs?.sessionId) {
-    return await continueClaudeSession(toolArgs.sessionId, toolArgs?.input || '');
+async function handleClaudeQueueMove(toolArgs) {
+  const task = findQueueTask(toolArgs?.taskId);
+  if (!task) {
+    return `❌ Queue task ${toolArgs?.taskId} not found`;
   }
-  
-  if (currentSessionId && activeSessions.has(currentSessionId)) {
-    return await continueClaudeSession(currentSessionId, toolArgs?.input || '');
+  if (task.status !== 'queued') {
+    return `❌ Error: Task ${task.taskId} is ${task.status} - only queued tasks can be moved`;
+  }
+  if (!Number.isInteger(toolArgs.position) || toolArgs.position < 1) {
+    return '❌ Error: position must be a whole number starting at 1';
   }
   
-  return '❌ No active session to continue.';
+  // Position counts queued tasks only; finished ones stay where they are
+  const { tasks } = loadQueue();
+  tasks.splice(tasks.indexOf(task), 1);
+  const queued = tasks.filter(t => t.status === 'queued');
+  const before = queued[toolArgs.position - 1];
+  tasks.splice(before ? tasks.indexOf(before) : tasks.length, 0, task);
+  saveQueue();
+  
+  const position = tasks.filter(t => t.status === 'queued').indexOf(task) + 1;
+  return `✓ Task ${task.taskId} moved to position ${position}`;
 }
 
-async function handleClaudeForce(toolArgs) {
-  if (toolArgs?.sessionId) {
-    return await forceClaudeSession(toolArgs.sessionId);
+async function handleClaudeQueueCancel(toolArgs) {
+  const queue = loadQueue();
+  const tasks = toolArgs?.all
+    ? queue.tasks.filter(task => task.status === 'queued' || task.status === 'running')
+    : [findQueueTask(toolArgs?.taskId)];
+  
+  if (!tasks[0]) {
+    return toolArgs?.all ? '❌ No queued tasks to cancel' : `❌ Queue task ${toolArgs?.taskId} not found`;
   }
   
-  if (currentSessionId && activeSessions.has(currentSessionId)) {
-    return await forceClaudeSession(currentSessionId);
+  for (const task of tasks) {
+    if (task.status === 'queued') {
+      finishQueueTask(task, 'cancelled', null);
+    } else if (task.status === 'running') {
+      // The runner records the outcome once the session has stopped
+      task.cancelled = true;
+      const session = Array.from(activeSessions.values()).find(s => s.queueTaskId === task.taskId);
+      if (session?.process) {
+        abortClaudeSession(session);
+      }
+    } else {
+      return `❌ Error: Task ${task.taskId} is already ${task.status}`;
+    }
   }
   
-  return '❌ No active session to force execute.';
+  return `✓ Cancelled ${tasks.length} task(s): ${tasks.map(task => task.taskId).join(', ')}`;
 }
 
-async function handleClaudeSessions() {
-  if (activeSessions.size === 0) {
-    return 'No active Claude Code sessions';
+async function handleClaudeSessions(toolArgs) {
+  const limit = toolArgs?.limit ?? 20;
+  const search = toolArgs?.search?.toLowerCase();
+  const since = toolArgs?.since ? new Date(toolArgs.since) : null;
+  
+  if (since && isNaN(since)) {
+    return `❌ Error: Invalid date: ${toolArgs.since}`;
   }
   
-  const sessions = Array.from(activeSessions.values()).map(s => ({
+  const matching = listSessionHistory().filter(s =>
+    (!toolArgs?.status || s.status === toolArgs.status) &&
+    (!search || (s.description || '').toLowerCase().includes(search)) &&
+    (!since || new Date(s.started) >= since)
+  );
+  
+  if (matching.length === 0) {
+    return 'No Claude Code sessions found';
+  }
+  
+  const sessions = matching.slice(0, limit).map(s => ({
     sessionId: s.sessionId,
+    description: s.description,
     status: s.status,
     started: s.started,
     finished: s.finished,
-    isCurrent: s.sessionId === currentSessionId
+    isCurrent: s.sessionId === currentSessionId,
+    ...(s.worktree ? { worktree: { branch: s.worktree.branch, status: s.worktree.status } } : {}),
+    progress: describeProgress(s.progress)
   }));
   
-  return JSON.stringify(sessions, null, 2);
+  return JSON.stringify({ total: matching.length, sessions }, null, 2);
+}
+
+async function handleClaudeTranscript(toolArgs) {
+  if (!toolArgs?.sessionId) {
+    return '❌ Error: sessionId is required';
+  }
+  
+  const offset = Math.max(0, toolArgs.offset ?? 0);
+  const limit = Math.max(1, toolArgs.limit ?? 50);
+  const transcript = readTranscript(toolArgs.sessionId, offset, limit);
+  
+  if (!transcript) {
+    return `❌ No transcript for session ${toolArgs.sessionId}`;
+  }
+  
+  return JSON.stringify({
+    sessionId: toolArgs.sessionId,
+    total: transcript.total,
+    offset,
+    entries: transcript.entries
+  }, null, 2);
+}
+
+async function handleClaudeAbort(toolArgs) {
+  const sessionId = toolArgs?.sessionId || currentSessionId;
+  const session = getSession(sessionId);
+  
+  if (toolArgs?.sessionId && !session) {
+    return `❌ Session ${sessionId} not found.`;
+  }
+  if (!session?.process) {
+    return toolArgs?.sessionId ? `❌ Session ${sessionId} is not running` : '❌ No running task to abort';
+  }
+  
+  abortClaudeSession(session);
+  return `✓ Session ${sessionId} aborted`;
+}
+
+async function handleClaudeReview(toolArgs) {
+  const sessionId = toolArgs?.sessionId || currentSessionId;
+  const session = getSession(sessionId);
+  const problem = checkWorktreeSession(session, sessionId);
+  if (problem) return problem;
+  
+  const stageError = await stageWorktree(session);
+  if (stageError) return stageError;
+  
+  // Against the commit the session started from, so commits Claude Code made in the worktree are included
+  const { path, branch, base } = session.worktree;
+  const diff = await runGit(['diff', '--cached', '--no-color', '--stat', ...(toolArgs?.stat ? [] : ['--patch']), base], path);
+  if (diff.code !== 0) return formatGitError(diff);
+  
+  const running = session.status === 'running' ? ' (still running)' : '';
+  return `Session ${sessionId}${running} on ${branch}, changes since ${base.substring(0, 8)}:\n\n${formatGitOutput(diff.stdout, 'No changes')}`;
+}
+
+async function handleClaudeMerge(toolArgs) {
+  const sessionId = toolArgs?.sessionId || currentSessionId;
+  const session = getSession(sessionId);
+  const problem = checkWorktreeSession(session, sessionId);
+  if (problem) return problem;
+  if (session.status === 'running') {
+    return `❌ Session ${sessionId} is still running. Wait for it to finish or use claude-abort.`;
+  }
+  const blocked = checkGitWritable();
+  if (blocked) return blocked;
+  
+  // Whatever the session left uncommitted becomes one commit on its branch
+  const { path, branch, base } = session.worktree;
+  const message = toolArgs?.message || session.description || `Claude Code session ${sessionId}`;
+  const stageError = await stageWorktree(session);
+  if (stageError) return stageError;
+  const pending = await runGit(['diff', '--cached', '--quiet'], path);
+  if (pending.code === 1) {
+    const committed = await runGit(['commit', '-m', message], path);
+    if (committed.code !== 0) return formatGitError(committed);
+  }
+  
+  const ahead = await runGit(['rev-list', '--count', `${base}..${branch}`]);
+  if (ahead.code !== 0) return formatGitError(ahead);
+  if (ahead.stdout.trim() === '0') {
+    return `❌ Session ${sessionId} made no changes - use claude-discard to remove it`;
+  }
+  
+  const merge = await runGit(['merge', ...(toolArgs?.squash ? ['--squash'] : ['--no-ff', '-m', `Merge ${branch}: ${message.split('\n')[0]}`]), branch]);
+  if (merge.code !== 0) {
+    // git merge won't start with staged changes, so resetting a half-done merge only undoes the merge itself
+    const conflicted = await runGit(['diff', '--name-only', '--diff-filter=U']);
+    const mergeHead = await runGit(['rev-parse', '-q', '--verify', 'MERGE_HEAD']);
+    if (conflicted.stdout.trim() || mergeHead.code === 0) {
+      await runGit(['reset', '--merge']);
+    }
+    return `❌ Error: Merge failed - the working copy is unchanged and the session kept:\n${(merge.stdout + merge.stderr).trim()}`;
+  }
+  
+  try {
+    await removeSessionWorktree(session, 'merged');
+  } catch (err) {
+    console.error(`  ⚠️ ${err.message}`);
+  }
+  
+  const note = toolArgs?.squash ? ' - changes are staged, not committed' : '';
+  return `✓ Merged session ${sessionId} into the working copy${note}:\n${merge.stdout.trim()}`;
 }
 
-async function handleClaudeAbort() {
-  if (currentTask?.status === 'running' && currentProcess) {
-    currentProcess.kill();
-    currentTask.status = 'aborted';
-    currentTask.finished = new Date().toISOString();
-    currentProcess = null;
-    return '✓ Task aborted';
+async function handleClaudeDiscard(toolArgs) {
+  const sessionId = toolArgs?.sessionId || currentSessionId;
+  const session = getSession(sessionId);
+  const problem = checkWorktreeSession(session, sessionId);
+  if (problem) return problem;
+  if (session.status === 'running') {
+    return `❌ Session ${sessionId} is still running. Abort it with claude-abort first.`;
+  }
+  
+  try {
+    await removeSessionWorktree(session, 'discarded');
+  } catch (err) {
+    return `❌ Error: ${err.message}`;
   }
-  return '❌ No running task to abort';
+  return `✓ Discarded session ${sessionId} - removed its worktree and branch ${session.worktree.branch}`;
 }
 
 // File operation handlers
@@ -850,22 +2496,266 @@ async function handleStrReplace(toolArgs) {
     if (occurrences === 0) return `❌ Error: old_str not found in ${toolArgs.path}`;
     if (occurrences > 1) return `❌ Error: old_str appears ${occurrences} times (must be unique)`;
     const newContent = content.replace(toolArgs.old_str, toolArgs.new_str || '');
-    writeFileSync(absolutePath, newContent, 'utf-8');
+    const change = stageFileChange(new Map(), toolArgs.path, newContent);
+    if (isDryRun(toolArgs)) return previewFileChanges([change]);
+    commitFileChanges('str_replace', [change]);
     return `✓ File edited: ${toolArgs.path}`;
   } catch (err) {
     return `❌ Error: ${err.message}`;
   }
 }
 
+async function handleMultiEdit(toolArgs) {
+  const edits = toolArgs?.edits;
+  if (!Array.isArray(edits) || edits.length === 0) {
+    return '❌ Error: edits must be a non-empty list';
+  }
+  
+  // Validate every edit against the result of the edits before it, then write all files at once
+  const staged = new Map();
+  const errors = [];
+  edits.forEach((edit, index) => {
+    try {
+      if (!edit?.path || !edit?.old_str) {
+        throw new Error('path and old_str are required');
+      }
+      const content = readStagedFile(staged, edit.path);
+      if (content === null) {
+        throw new Error('file does not exist');
+      }
+      const occurrences = content.split(edit.old_str).length - 1;
+      if (occurrences === 0) {
+        throw new Error('old_str not found');
+      }
+      if (occurrences > 1 && !edit.replace_all) {
+        throw new Error(`old_str appears ${occurrences} times (must be unique, or set replace_all)`);
+      }
+      const newStr = edit.new_str || '';
+      const after = edit.replace_all ? content.split(edit.old_str).join(newStr) : content.replace(edit.old_str, () => newStr);
+      stageFileChange(staged, edit.path, after);
+    } catch (err) {
+      errors.push(`Edit ${index + 1} (${edit?.path}): ${err.message}`);
+    }
+  });
+  
+  if (errors.length > 0) {
+    return `❌ Error: No files were changed:\n${errors.map(e => `  - ${e}`).join('\n')}`;
+  }
+  
+  if (isDryRun(toolArgs)) {
+    return previewFileChanges(Array.from(staged.values()));
+  }
+  
+  try {
+    commitFileChanges('multi_edit', Array.from(staged.values()));
+  } catch (err) {
+    return `❌ Error: ${err.message}`;
+  }
+  
+  return `✓ Applied ${edits.length} edit(s) to ${staged.size} file(s):\n${Array.from(staged.values()).map(c => `  ${describeFileChange(c)}`).join('\n')}`;
+}
+
+async function handleApplyPatch(toolArgs) {
+  if (!toolArgs?.patch) {
+    return '❌ Error: patch is required';
+  }
+  
+  let files;
+  try {
+    files = parsePatch(toolArgs.patch);
+  } catch (err) {
+    return `❌ Error: Invalid patch: ${err.message}`;
+  }
+  
+  const staged = new Map();
+  const errors = [];
+  for (const file of files) {
+    const displayPath = file.newPath || file.oldPath;
+    try {
+      if (!file.oldPath && !file.newPath) {
+        throw new Error('both sides are /dev/null');
+      }
+      
+      let content = '';
+      if (file.oldPath) {
+        content = readStagedFile(staged, file.oldPath);
+        if (content === null) {
+          throw new Error('file does not exist');
+        }
+      } else if (readStagedFile(staged, file.newPath) !== null) {
+        throw new Error('file already exists');
+      }
+      
+      const after = applyHunks(content, file.hunks, displayPath);
+      
+      if (!file.newPath) {
+        if (after !== '') {
+          throw new Error('patch deletes the file but content would remain');
+        }
+        stageFileChange(staged, file.oldPath, null);
+      } else if (file.oldPath && file.oldPath !== file.newPath) {
+        if (readStagedFile(staged, file.newPath) !== null) {
+          throw new Error(`${file.newPath} already exists`);
+        }
+        stageFileChange(staged, file.oldPath, null);
+        stageFileChange(staged, file.newPath, after);
+      } else {
+        stageFileChange(staged, file.newPath, after);
+      }
+    } catch (err) {
+      errors.push(err.message.startsWith(`${displayPath}:`) ? err.message : `${displayPath}: ${err.message}`);
+    }
+  }
+  
+  if (errors.length > 0) {
+    return `❌ Error: Patch not applied - no files were changed:\n${errors.map(e => `  - ${e}`).join('\n')}`;
+  }
+  
+  if (isDryRun(toolArgs)) {
+    return previewFileChanges(Array.from(staged.values()));
+  }
+  
+  try {
+    commitFileChanges('apply_patch', Array.from(staged.values()));
+  } catch (err) {
+    return `❌ Error: ${err.message}`;
+  }
+  
+  return `✓ Patch applied to ${staged.size} file(s):\n${Array.from(staged.values()).map(c => `  ${describeFileChange(c)}`).join('\n')}`;
+}
+
+async function handleUndo(toolArgs) {
+  const count = toolArgs?.n ?? 1;
+  if (!Number.isInteger(count) || count < 1) {
+    return '❌ Error: n must be a whole number of at least 1';
+  }
+  
+  let entries;
+  try {
+    entries = readJournal();
+  } catch (err) {
+    return `❌ Error: Failed to read journal: ${err.message}`;
+  }
+  const undone = getUndoneIds(entries);
+  const targets = entries.filter(entry => isUndoable(entry, undone)).reverse().slice(0, count);
+  
+  if (targets.length === 0) {
+    return '❌ Nothing to undo';
+  }
+  if (isDryRun(toolArgs)) {
+    return previewRevertResult(targets, toolArgs?.force);
+  }
+  
+  return revertAndJournal('undo', targets, toolArgs?.force);
+}
+
+async function handleHistory(toolArgs) {
+  const limit = toolArgs?.limit ?? 20;
+  let entries;
+  try {
+    entries = readJournal();
+  } catch (err) {
+    return `❌ Error: Failed to read journal: ${err.message}`;
+  }
+  if (entries.length === 0) {
+    return 'No file changes recorded yet';
+  }
+  
+  const undone = getUndoneIds(entries);
+  const history = entries.slice(-limit).reverse().map(entry => ({
+    id: entry.id,
+    time: entry.time,
+    tool: entry.tool,
+    ...(entry.checkpoint ? { checkpoint: entry.checkpoint } : {}),
+    ...(entry.undoes ? { undoes: entry.undoes } : {}),
+    ...(undone.has(entry.id) ? { undone: true } : {}),
+    ...(entry.changes ? { changes: entry.changes.map(describeJournalChange) } : {})
+  }));
+  
+  return JSON.stringify({ total: entries.length, history }, null, 2);
+}
+
+async function handleCheckpoint(toolArgs) {
+  if (!toolArgs?.name) {
+    return '❌ Error: name is required';
+  }
+  
+  try {
+    const entry = appendJournal({ tool: 'checkpoint', checkpoint: toolArgs.name });
+    return `✓ Checkpoint "${toolArgs.name}" created (entry ${entry.id})`;
+  } catch (err) {
+    return `❌ Error: ${err.message}`;
+  }
+}
+
+async function handleRestore(toolArgs) {
+  if (!toolArgs?.name) {
+    return '❌ Error: name is required';
+  }
+  
+  let entries;
+  try {
+    entries = readJournal();
+  } catch (err) {
+    return `❌ Error: Failed to read journal: ${err.message}`;
+  }
+  const checkpoint = entries.filter(entry => entry.checkpoint === toolArgs.name).pop();
+  if (!checkpoint) {
+    return `❌ Checkpoint "${toolArgs.name}" not found`;
+  }
+  
+  const undone = getUndoneIds(entries);
+  const targets = entries.filter(entry => entry.id > checkpoint.id && isUndoable(entry, undone)).reverse();
+  if (targets.length === 0) {
+    return `✓ Nothing changed since checkpoint "${toolArgs.name}"`;
+  }
+  if (isDryRun(toolArgs)) {
+    return previewRevertResult(targets, toolArgs?.force, `checkpoint "${toolArgs.name}"`);
+  }
+  
+  return revertAndJournal('restore', targets, toolArgs?.force, `checkpoint "${toolArgs.name}"`);
+}
+
+function previewRevertResult(targets, force, label = null) {
+  const ids = targets.map(entry => entry.id).join(', ');
+  try {
+    const { operations, diffs } = previewRevert(targets, force);
+    const action = label ? `restore ${label}` : 'undo';
+    return formatDryRun(`Would ${action} (entries ${ids}):\n${operations.map(op => `  ${op}`).join('\n')}`, diffs);
+  } catch (err) {
+    return `❌ Error: ${err.message}`;
+  }
+}
+
+// Undo and restore are journaled too, but aren't themselves undoable
+function revertAndJournal(tool, targets, force, label = null) {
+  const ids = targets.map(entry => entry.id);
+  try {
+    const records = revertEntries(targets, force);
+    journalMutation(tool, records, ids);
+    const changes = records.map(describeJournalChange).map(c => `  ${c}`).join('\n');
+    return `✓ ${label ? `Restored ${label}` : 'Undone'} (entries ${ids.join(', ')}):\n${changes}`;
+  } catch (err) {
+    if (err.records?.length > 0) {
+      journalMutation(`${tool} (partial)`, err.records);
+      return `❌ Error: ${err.message} - ${err.records.length} change(s) were already rolled back (see history)`;
+    }
+    return `❌ Error: ${err.message}`;
+  }
+}
+
 async function handleFileCreate(toolArgs) {
   try {
     if (!toolArgs?.path || toolArgs?.file_text === undefined) {
       return '❌ Error: path and file_text are required';
     }
     const absolutePath = validatePath(toolArgs.path);
-    const dir = dirname(absolutePath);
-    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-    writeFileSync(absolutePath, toolArgs.file_text, 'utf-8');
+    if (existsSync(absolutePath) && statSync(absolutePath).isDirectory()) {
+      return `❌ Error: ${toolArgs.path} is a directory`;
+    }
+    const change = stageFileChange(new Map(), toolArgs.path, toolArgs.file_text);
+    if (isDryRun(toolArgs)) return previewFileChanges([change]);
+    commitFileChanges('file_create', [change]);
     return `✓ File created: ${toolArgs.path}`;
   } catch (err) {
     return `❌ Error: ${err.message}`;
@@ -874,12 +2764,13 @@ async function handleFileCreate(toolArgs) {
 
 async function handleFileDelete(toolArgs) {
   try {
-    const { unlinkSync, statSync } = await import('fs');
     if (!toolArgs?.path) return '❌ Error: path is required';
     const absolutePath = validatePath(toolArgs.path);
     if (!existsSync(absolutePath)) return `❌ Error: ${toolArgs.path} does not exist`;
     if (statSync(absolutePath).isDirectory()) return `❌ Error: ${toolArgs.path} is a directory`;
-    unlinkSync(absolutePath);
+    const change = stageFileChange(new Map(), toolArgs.path, null);
+    if (isDryRun(toolArgs)) return previewFileChanges([change]);
+    commitFileChanges('file_delete', [change]);
     return `✓ File deleted: ${toolArgs.path}`;
   } catch (err) {
     return `❌ Error: ${err.message}`;
@@ -888,15 +2779,19 @@ async function handleFileDelete(toolArgs) {
 
 async function handleFileMove(toolArgs) {
   try {
-    const { renameSync } = await import('fs');
     if (!toolArgs?.source || !toolArgs?.destination) return '❌ Error: source and destination required';
     const absoluteSource = validatePath(toolArgs.source);
     const absoluteDestination = validatePath(toolArgs.destination);
     if (!existsSync(absoluteSource)) return `❌ Error: ${toolArgs.source} does not exist`;
     if (existsSync(absoluteDestination)) return `❌ Error: ${toolArgs.destination} already exists`;
     const destDir = dirname(absoluteDestination);
+    if (isDryRun(toolArgs)) {
+      const creates = existsSync(destDir) ? [] : [`Would create directory: ${toRelativePath(destDir)}`];
+      return formatDryRun(`Would move: ${toolArgs.source} → ${toolArgs.destination}`, creates);
+    }
     if (!existsSync(destDir)) mkdirSync(destDir, { recursive: true });
     renameSync(absoluteSource, absoluteDestination);
+    journalMutation('file_move', [{ type: 'move', from: toRelativePath(absoluteSource), to: toRelativePath(absoluteDestination) }]);
     return `✓ Moved: ${toolArgs.source} → ${toolArgs.destination}`;
   } catch (err) {
     return `❌ Error: ${err.message}`;
@@ -908,7 +2803,19 @@ async function handleMkdir(toolArgs) {
     if (!toolArgs?.path) return '❌ Error: path is required';
     const absolutePath = validatePath(toolArgs.path);
     if (existsSync(absolutePath)) return `❌ Error: ${toolArgs.path} already exists`;
+    // Journal every directory a recursive mkdir creates, outermost first
+    const created = [];
+    for (let dir = absolutePath; !existsSync(dir); dir = dirname(dir)) {
+      created.unshift({ type: 'mkdir', path: toRelativePath(dir) });
+    }
+    if (toolArgs.recursive === false && created.length > 1) {
+      return `❌ Error: Parent directory of ${toolArgs.path} does not exist`;
+    }
+    if (isDryRun(toolArgs)) {
+      return formatDryRun(`Would create ${created.length} directory(ies):\n${created.map(c => `  ${describeJournalChange(c)}`).join('\n')}`);
+    }
     mkdirSync(absolutePath, { recursive: toolArgs.recursive !== false });
+    journalMutation('mkdir', toolArgs.recursive !== false ? created : created.slice(-1));
     return `✓ Directory created: ${toolArgs.path}`;
   } catch (err) {
     return `❌ Error: ${err.message}`;
@@ -917,14 +2824,15 @@ async function handleMkdir(toolArgs) {
 
 async function handleRmdir(toolArgs) {
   try {
-    const { rmdirSync, statSync, readdirSync } = await import('fs');
     if (!toolArgs?.path) return '❌ Error: path is required';
     const absolutePath = validatePath(toolArgs.path);
     if (!existsSync(absolutePath)) return `❌ Error: ${toolArgs.path} does not exist`;
     if (!statSync(absolutePath).isDirectory()) return `❌ Error: ${toolArgs.path} is not a directory`;
     const contents = readdirSync(absolutePath);
     if (contents.length > 0) return `❌ Error: ${toolArgs.path} is not empty`;
+    if (isDryRun(toolArgs)) return formatDryRun(`Would remove directory: ${toolArgs.path}`);
     rmdirSync(absolutePath);
+    journalMutation('rmdir', [{ type: 'rmdir', path: toRelativePath(absolutePath) }]);
     return `✓ Directory removed: ${toolArgs.path}`;
   } catch (err) {
     return `❌ Error: ${err.message}`;
@@ -1011,6 +2919,167 @@ async function handleGrep(toolArgs) {
   }
 }
 
+async function handleGitStatus() {
+  const result = await runGit(['status', '--short', '--branch', '--', '.']);
+  return result.code === 0 ? formatGitOutput(result.stdout, 'Nothing to report') : formatGitError(result);
+}
+
+async function handleGitDiff(toolArgs) {
+  const notRepository = await checkGitRepository();
+  if (notRepository) return notRepository;
+  
+  let paths;
+  try {
+    paths = toGitPaths(toolArgs?.paths);
+  } catch (err) {
+    return `❌ Error: ${err.message}`;
+  }
+  
+  const result = await runGit([
+    'diff', '--relative', '--no-color',
+    ...(toolArgs?.staged ? ['--cached'] : []),
+    ...(toolArgs?.stat ? ['--stat'] : []),
+    '--', ...paths
+  ]);
+  return result.code === 0
+    ? formatGitOutput(result.stdout, toolArgs?.staged ? 'No staged changes' : 'No unstaged changes')
+    : formatGitError(result);
+}
+
+async function handleGitLog(toolArgs) {
+  const limit = toolArgs?.limit ?? 20;
+  if (!Number.isInteger(limit) || limit < 1) {
+    return '❌ Error: limit must be a whole number of at least 1';
+  }
+  if (toolArgs?.ref !== undefined && !isValidGitRef(toolArgs.ref)) {
+    return `❌ Error: Invalid ref: ${toolArgs.ref}`;
+  }
+  let paths;
+  try {
+    paths = toGitPaths(toolArgs?.paths);
+  } catch (err) {
+    return `❌ Error: ${err.message}`;
+  }
+  
+  const result = await runGit([
+    'log', `--max-count=${limit}`, '--date=short', '--format=%h %ad %an: %s',
+    ...(toolArgs?.ref ? [toolArgs.ref] : []),
+    '--', ...paths
+  ]);
+  return result.code === 0 ? formatGitOutput(result.stdout, 'No commits') : formatGitError(result);
+}
+
+async function handleGitCommit(toolArgs) {
+  const blocked = checkGitWritable();
+  if (blocked) return blocked;
+  if (!toolArgs?.message?.trim()) {
+    return '❌ Error: message is required';
+  }
+  const notRepository = await checkGitRepository();
+  if (notRepository) return notRepository;
+  
+  let paths = null;
+  if (toolArgs.paths) {
+    try {
+      paths = toGitPaths(toolArgs.paths);
+    } catch (err) {
+      return `❌ Error: ${err.message}`;
+    }
+  }
+  
+  // The index is shared with the whole repository, so changes staged outside WORKING_DIR block the commit
+  const listStaged = (...gitArgs) => runGit(['diff', '--cached', '--name-only', ...gitArgs]);
+  const count = (result) => result.stdout.split('\n').filter(line => line.trim()).length;
+  const staged = await listStaged();
+  if (staged.code !== 0) return formatGitError(staged);
+  if (count(staged) > count(await listStaged('--relative'))) {
+    return '❌ Error: Changes outside the working directory are staged - unstage them on the node first';
+  }
+  
+  if (paths) {
+    const added = await runGit(['add', '--all', '--', ...paths]);
+    if (added.code !== 0) return formatGitError(added);
+  }
+  if (count(await listStaged()) === 0) {
+    return '❌ Error: Nothing staged to commit - pass the paths to commit';
+  }
+  
+  const result = await runGit(['commit', '-m', toolArgs.message]);
+  return result.code === 0 ? `✓ ${result.stdout.trim()}` : formatGitError(result);
+}
+
+async function handleGitBranch(toolArgs) {
+  if (!toolArgs?.name) {
+    const result = await runGit(['branch', '--list', '-vv', '--no-color']);
+    return result.code === 0 ? formatGitOutput(result.stdout, 'No branches') : formatGitError(result);
+  }
+  
+  const blocked = checkGitWritable();
+  if (blocked) return blocked;
+  if (!isValidGitRef(toolArgs.name)) {
+    return `❌ Error: Invalid branch name: ${toolArgs.name}`;
+  }
+  if (toolArgs.startPoint !== undefined && !isValidGitRef(toolArgs.startPoint)) {
+    return `❌ Error: Invalid start point: ${toolArgs.startPoint}`;
+  }
+  
+  // -d refuses to delete unmerged branches
+  const result = toolArgs.delete
+    ? await runGit(['branch', '-d', toolArgs.name])
+    : await runGit(['branch', toolArgs.name, ...(toolArgs.startPoint ? [toolArgs.startPoint] : [])]);
+  if (result.code !== 0) return formatGitError(result);
+  return toolArgs.delete ? `✓ Branch deleted: ${toolArgs.name}` : `✓ Branch created: ${toolArgs.name}`;
+}
+
+async function handleGitCheckout(toolArgs) {
+  const blocked = checkGitWritable();
+  if (blocked) return blocked;
+  if (!isValidGitRef(toolArgs?.branch)) {
+    return toolArgs?.branch ? `❌ Error: Invalid branch name: ${toolArgs.branch}` : '❌ Error: branch is required';
+  }
+  
+  // switch only ever takes a branch, never paths; git itself refuses if local changes would be lost
+  const result = await runGit(['switch', ...(toolArgs.create ? ['-c'] : []), toolArgs.branch]);
+  return result.code === 0 ? `✓ Switched to ${toolArgs.create ? 'new ' : ''}branch ${toolArgs.branch}` : formatGitError(result);
+}
+
+async function handleGitStash(toolArgs) {
+  const action = toolArgs?.action || 'list';
+  if (!GIT_STASH_ACTIONS.includes(action)) {
+    return `❌ Error: action must be one of: ${GIT_STASH_ACTIONS.join(', ')}`;
+  }
+  const index = toolArgs?.index ?? 0;
+  if (!Number.isInteger(index) || index < 0) {
+    return '❌ Error: index must be a whole number';
+  }
+  const stash = `stash@{${index}}`;
+  
+  if (action === 'list') {
+    const result = await runGit(['stash', 'list']);
+    return result.code === 0 ? formatGitOutput(result.stdout, 'No stashes') : formatGitError(result);
+  }
+  if (action === 'show') {
+    const result = await runGit(['stash', 'show', '--patch', '--relative', '--no-color', stash]);
+    return result.code === 0 ? formatGitOutput(result.stdout, `${stash} is empty`) : formatGitError(result);
+  }
+  
+  const blocked = checkGitWritable();
+  if (blocked) return blocked;
+  
+  if (action === 'push') {
+    const result = await runGit([
+      'stash', 'push',
+      ...(toolArgs?.untracked ? ['--include-untracked'] : []),
+      ...(toolArgs?.message ? ['-m', toolArgs.message] : []),
+      '--', '.'
+    ]);
+    return result.code === 0 ? `✓ ${result.stdout.trim()}` : formatGitError(result);
+  }
+  
+  const result = await runGit(['stash', action, stash]);
+  return result.code === 0 ? `✓ ${formatGitOutput(result.stdout, `${stash} ${action === 'drop' ? 'dropped' : 'applied'}`)}` : formatGitError(result);
+}
+
 // Unity MCP handlers
 async function callUnityMCPForTool(server, tool, toolArgs) {
   const port = server === 'editor' ? UNITY_EDITOR_PORT : UNITY_GAME_PORT;
@@ -1113,26 +3182,48 @@ async function listUnityToolsFormatted() {
   return output;
 }
 
-async function handleToolCall(name, toolArgs) {
+async function handleToolCall(name, toolArgs, context = {}) {
   const handlers = {
     'status': handleStatus,
     'claude-code': handleClaudeCode,
     'claude-continue': handleClaudeContinue,
     'claude-force': handleClaudeForce,
+    'claude-approve': handleClaudeApprove,
+    'claude-queue-add': handleClaudeQueueAdd,
+    'claude-queue-list': handleClaudeQueueList,
+    'claude-queue-move': handleClaudeQueueMove,
+    'claude-queue-cancel': handleClaudeQueueCancel,
     'claude-sessions': handleClaudeSessions,
+    'claude-transcript': handleClaudeTranscript,
     'claude-abort': handleClaudeAbort,
+    'claude-review': handleClaudeReview,
+    'claude-merge': handleClaudeMerge,
+    'claude-discard': handleClaudeDiscard,
     'str_replace': handleStrReplace,
+    'multi_edit': handleMultiEdit,
+    'apply_patch': handleApplyPatch,
+    'undo': handleUndo,
+    'history': handleHistory,
+    'checkpoint': handleCheckpoint,
+    'restore': handleRestore,
     'file_create': handleFileCreate,
     'file_delete': handleFileDelete,
     'file_move': handleFileMove,
     'mkdir': handleMkdir,
     'rmdir': handleRmdir,
     'view': handleView,
-    'grep': handleGrep
+    'grep': handleGrep,
+    'git_status': handleGitStatus,
+    'git_diff': handleGitDiff,
+    'git_log': handleGitLog,
+    'git_commit': handleGitCommit,
+    'git_branch': handleGitBranch,
+    'git_checkout': handleGitCheckout,
+    'git_stash': handleGitStash
   };
   
   if (handlers[name]) {
-    return await handlers[name](toolArgs);
+    return await handlers[name](toolArgs, context);
   }
 
   if (name === 'unity-editor') {
@@ -1213,16 +3304,41 @@ async function connectToRelay() {
 
 async function handleSSEEvent(event, data) {
   if (event === 'connected') {
-    // Node registered, no action needed
+    // Node registered - queued tasks can report back now
+    resumeQueue();
   } else if (event === 'ping') {
     // Keepalive, refresh token if needed
     await refreshTokenIfNeeded();
   } else if (event === 'request') {
     const request = JSON.parse(data);
-    await handleToolRequest(request);
+    // Not awaited: status and session queries must be answered while a Claude Code task runs
+    handleToolRequest(request);
   }
 }
 
+// Progress reports for one relay request, posted in order so the progress count only goes up
+function createProgressReporter(requestId) {
+  let progress = 0;
+  let queue = Promise.resolve();
+  
+  const report = (message) => {
+    const body = JSON.stringify({ progress: ++progress, message });
+    queue = queue.then(() => fetch(`${RELAY_URL}/node/progress?requestId=${requestId}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${currentIdToken}`,
+        'Content-Type': 'application/json'
+      },
+      body
+    })).catch(err => {
+      console.error(`  ⚠️ Failed to send progress: ${err.message}`);
+    });
+  };
+  report.flush = () => queue;
+  
+  return report;
+}
+
 async function handleToolRequest(request) {
   const { id: requestId, method, params } = request;
   const toolName = params?.name;
@@ -1233,13 +3349,18 @@ async function handleToolRequest(request) {
     console.log('  Arguments:', JSON.stringify(toolArgs, null, 2).replace(/\n/g, '\n  '));
   }
   
+  const reportProgress = createProgressReporter(requestId);
+  
   let result;
   try {
-    result = await handleToolCall(toolName, toolArgs);
+    result = await handleToolCall(toolName, toolArgs, { onProgress: reportProgress });
   } catch (err) {
     result = `⚠️ Error: ${err.message}`;
   }
   
+  // Let queued progress reach the relay before the response closes the request
+  await reportProgress.flush();
+  
   console.log(`\n  📤 Response:`);
   result.split('\n').forEach(line => console.log(`  ${line}`));
   console.log('');
@@ -1297,11 +3418,17 @@ function startInteractiveCLI() {
         console.log('  Available commands:');
         console.log('  ─────────────────────────────────────────');
         console.log('  status                     - Check Unity and MCP server status');
-        console.log('  claude-sessions            - List active Claude Code sessions');
+        console.log('  claude-sessions            - List recent Claude Code sessions');
         console.log('  claude-code <description>  - Run Claude Code task');
         console.log('  claude-continue [input]    - Continue session');
+        console.log('  claude-approve <rule ...>  - Resume allowing only these tools, e.g. Edit(Assets/**)');
         console.log('  claude-force               - Force execute with full permissions');
-        console.log('  claude-abort               - Abort current task');
+        console.log('  claude-abort [sessionId]   - Abort a running session (default: current)');
+        console.log('  claude-review [sessionId]  - Show what an isolated session changed');
+        console.log('  claude-merge [sessionId]   - Merge an isolated session into the working copy');
+        console.log('  claude-discard [sessionId] - Throw away an isolated session\'s worktree');
+        console.log('  dry-run                    - Only preview remote file changes');
+        console.log('  confirm-writes             - Let remote file tools write again');
         console.log('  unity-editor <tool> [args] - Call Unity Editor MCP tool');
         console.log('  unity-game <tool> [args]   - Call Unity Game MCP tool');
         console.log('  unity-tools                - List Unity MCP tools');
@@ -1319,14 +3446,16 @@ function startInteractiveCLI() {
       case 'claude-sessions':
       case 'sessions':
         console.log('');
-        if (activeSessions.size === 0) {
-          console.log('  No active sessions');
+        const history = listSessionHistory().slice(0, 20);
+        if (history.length === 0) {
+          console.log('  No sessions');
         } else {
-          console.log('  Active Claude Code Sessions:');
-          for (const [id, session] of activeSessions) {
-            const current = id === currentSessionId ? ' [CURRENT]' : '';
-            console.log(`  ${id}${current}`);
-            console.log(`    Status: ${session.status}`);
+          console.log('  Claude Code Sessions:');
+          for (const session of history) {
+            const current = session.sessionId === currentSessionId ? ' [CURRENT]' : '';
+            console.log(`  ${session.sessionId}${current}`);
+            console.log(`    Status: ${session.status}  Started: ${session.started}`);
+            console.log(`    ${session.description}`);
           }
         }
         console.log('');
@@ -1341,16 +3470,31 @@ function startInteractiveCLI() {
         break;
 
       case 'claude-continue':
-        if (currentSessionId && activeSessions.has(currentSessionId)) {
+        if (currentSessionId && getSession(currentSessionId)) {
           await continueClaudeSession(currentSessionId, commandArgs || '');
         } else {
           console.log('\n  ⚠️  No active session to continue');
         }
         break;
 
+      case 'claude-approve':
+      case 'approve': {
+        // Rules may contain spaces inside their parentheses, e.g. Bash(npm test)
+        const rules = commandArgs.match(/[^\s(]+(\([^)]*\))?/g) || [];
+        if (rules.length === 0) {
+          console.log('\n  ❌ Usage: claude-approve <rule> [rule ...]');
+        } else if (currentSessionId && getSession(currentSessionId)) {
+          const result = await handleClaudeApprove({ allow: rules });
+          if (result.startsWith('❌')) console.log(`\n  ${result}`);
+        } else {
+          console.log('\n  ⚠️  No active session to approve');
+        }
+        break;
+      }
+
       case 'claude-force':
       case 'force':
-        if (currentSessionId && activeSessions.has(currentSessionId)) {
+        if (currentSessionId && getSession(currentSessionId)) {
           await forceClaudeSession(currentSessionId);
         } else {
           console.log('\n  ⚠️  No active session to force');
@@ -1358,16 +3502,43 @@ function startInteractiveCLI() {
         break;
 
       case 'claude-abort':
-      case 'abort':
-        if (!currentProcess) {
+      case 'abort': {
+        const session = activeSessions.get(commandArgs || currentSessionId);
+        if (!session?.process) {
           console.log('\n  ⚠️  No task running');
         } else {
-          isAborted = true;
-          if (platform() === 'win32') {
-            spawn('taskkill', ['/pid', currentProcess.pid, '/f', '/t']);
-          } else {
-            currentProcess.kill('SIGTERM');
-          }
+          abortClaudeSession(session);
+        }
+        break;
+      }
+      
+      case 'claude-review':
+      case 'review':
+        console.log('');
+        (await handleClaudeReview({ sessionId: commandArgs })).split('\n').forEach(line => console.log(`  ${line}`));
+        break;
+
+      case 'claude-merge':
+      case 'merge':
+        console.log(`\n  ${await handleClaudeMerge({ sessionId: commandArgs })}`);
+        break;
+
+      case 'claude-discard':
+      case 'discard':
+        console.log(`\n  ${await handleClaudeDiscard({ sessionId: commandArgs })}`);
+        break;
+
+      case 'dry-run':
+        dryRunEnforced = true;
+        console.log('\n  🔍 Dry run enforced - remote file tools will only preview their changes');
+        break;
+
+      case 'confirm-writes':
+        if (!dryRunEnforced) {
+          console.log('\n  ⚠️  Dry run is not enforced');
+        } else {
+          dryRunEnforced = false;
+          console.log('\n  ✓ Remote file tools can write again (dryRun: true still previews)');
         }
         break;
       
@@ -1442,6 +3613,12 @@ async function main() {
   console.log(`  🎮 Unity Editor Port: ${UNITY_EDITOR_PORT}`);
   console.log(`  🎮 Unity Game Port: ${UNITY_GAME_PORT}`);
   console.log(`  📁 Working directory: ${WORKING_DIR}`);
+  if (dryRunEnforced) {
+    console.log('  🔍 Dry run: remote file changes are previewed until you type confirm-writes');
+  }
+  
+  // Pick up where the previous run left off, so claude-continue works without a sessionId
+  currentSessionId = listSessionHistory().find(s => !s.queueTaskId)?.sessionId || null;
   
   // Authenticate
   try {
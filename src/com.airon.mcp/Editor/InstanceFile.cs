@@ -0,0 +1,61 @@
+using System;
+using System.IO;
+using Newtonsoft.Json;
+using UnityEngine;
+
+namespace AIRON.MCP
+{
+    /// <summary>
+    /// Advertises this editor's project path and MCP ports in Temp/AironMCP.json.
+    /// Lets the stdio bridge find the right instance when several editors are open.
+    /// Unity clears Temp/ when the editor closes, so the file only exists while the project is open.
+    /// </summary>
+    public static class InstanceFile
+    {
+        private static string ProjectPath => Path.GetDirectoryName(Application.dataPath);
+
+        private static string FilePath => Path.Combine(ProjectPath, Constants.InstanceFilePath);
+
+        /// <summary>
+        /// Writes (or refreshes) the instance file. Call from the main thread.
+        /// </summary>
+        public static void Write(int editorPort, int gamePort)
+        {
+            try
+            {
+                string path = FilePath;
+                Directory.CreateDirectory(Path.GetDirectoryName(path));
+                File.WriteAllText(path, JsonConvert.SerializeObject(new
+                {
+                    projectPath = ProjectPath.Replace('\\', '/'),
+                    editorPort,
+                    gamePort,
+                    pid = System.Diagnostics.Process.GetCurrentProcess().Id,
+                    unityVersion = Application.unityVersion
+                }, Formatting.Indented));
+            }
+            catch (Exception e)
+            {
+                Logger.LogWarning($"Failed to write instance file: {e.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Removes the instance file when the editor quits.
+        /// </summary>
+        public static void Delete()
+        {
+            try
+            {
+                if (File.Exists(FilePath))
+                {
+                    File.Delete(FilePath);
+                }
+            }
+            catch (Exception e)
+            {
+                Logger.LogDebug($"Failed to delete instance file: {e.Message}");
+            }
+        }
+    }
+}
@@ -44,6 +44,7 @@ namespace AIRON.MCP
         {
             EditorApplication.update += ProcessMainThreadQueue;
             EditorApplication.quitting += Stop;
+            EditorApplication.quitting += InstanceFile.Delete;
             AssemblyReloadEvents.beforeAssemblyReload += OnBeforeAssemblyReload;
 
             // Load configuration
@@ -105,7 +106,11 @@ namespace AIRON.MCP
                 _startFailed = true;
                 _serverImpl = null;
                 Debug.LogWarning("[AIRON] Editor MCP server failed to start. Use AIRON > Restart Editor MCP Server menu to retry, or restart Unity.");
+                return;
             }
+
+            // Advertise project path and ports for bridges looking for this project
+            InstanceFile.Write(port, config?.gamePort ?? Constants.DefaultGamePort);
         }
 
         public static void Stop()
@@ -229,6 +234,7 @@ namespace AIRON.MCP
                             compiling = EditorApplication.isCompiling,
                             project = Application.productName,
                             unityVersion = Application.unityVersion,
+                            projectPath = _projectPath,
                             serverStartTime = _serverStartTime.ToString("o")
                         }));
 
@@ -64,6 +64,13 @@ namespace AIRON.MCP
 
         #endregion
 
+        #region Discovery
+
+        /// <summary>Instance file advertising project path and ports, relative to the project folder.</summary>
+        public const string InstanceFilePath = "Temp/AironMCP.json";
+
+        #endregion
+
         #region JSON-RPC Error Codes
 
         /// <summary>JSON-RPC error code for method not found.</summary>
@@ -21,6 +21,7 @@ namespace AIRON.MCP
         // Configuration
         protected int _port;
         protected DateTime _serverStartTime;
+        protected string _projectPath;
 
         // HTTP infrastructure
         private HttpListener _listener;
@@ -100,6 +101,7 @@ namespace AIRON.MCP
             if (_running) return true;
 
             _serverStartTime = DateTime.UtcNow;
+            _projectPath = Path.GetDirectoryName(Application.dataPath)?.Replace('\\', '/');
             _executor = new MainThreadExecutor(ServerName);
             _sseManager = new SSEConnectionManager(ServerName);
 
@@ -540,6 +542,7 @@ namespace AIRON.MCP
                 transport = "streamable-http",
                 protocolVersion = Constants.ProtocolVersion,
                 port = _port,
+                projectPath = _projectPath,
                 sseClients = _sseManager?.ClientCount ?? 0,
                 activeSessions = _sessions.Count
             };
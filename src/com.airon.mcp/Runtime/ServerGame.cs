@@ -133,6 +133,7 @@ namespace AIRON.MCP
                     {
                         running = false,
                         message = "Not in Play Mode",
+                        projectPath = _projectPath,
                         serverStartTime = _serverStartTime.ToString("o")
                     });
                 }
@@ -362,6 +363,7 @@ namespace AIRON.MCP
                                 time = Time.time,
                                 frameCount = Time.frameCount,
                                 scene = UnityEngine.SceneManagement.SceneManager.GetActiveScene().name,
+                                projectPath = _projectPath,
                                 serverStartTime = _serverStartTime.ToString("o")
                             });
                         });